@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+// Prints the routes of the handlers found under a base path, ie.
+//
+//   npx btrz-route-manifest ./src/modules --format table
+//
+// '--dependencies' is a module which exports the dependencies given to the constructors of the handlers, or a function
+// which returns them.  Handlers which can't be loaded are reported on stderr, and the exit code is 1.
+const path = require("node:path");
+const {parseArgs} = require("node:util");
+const {buildRouteManifest, formatTable} = require("../lib/route-manifest");
+
+const USAGE = "Usage: btrz-route-manifest <basePath> [--format json|table] [--include <glob>] [--exclude <glob>] " +
+  "[--dependencies <module>]";
+
+async function loadDependencies(modulePath) {
+  if (!modulePath) {
+    return {};
+  }
+  const dependencies = require(path.resolve(modulePath));
+  return typeof dependencies === "function" ? dependencies() : dependencies;
+}
+
+async function main(argv) {
+  const {values, positionals} = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      format: {type: "string", default: "json"},
+      include: {type: "string", multiple: true},
+      exclude: {type: "string", multiple: true},
+      dependencies: {type: "string"},
+      help: {type: "boolean", default: false}
+    }
+  });
+
+  if (values.help || positionals.length !== 1 || !["json", "table"].includes(values.format)) {
+    process.stderr.write(`${USAGE}\n`);
+    return values.help ? 0 : 1;
+  }
+
+  const manifest = await buildRouteManifest(path.resolve(positionals[0]), {
+    dependencies: await loadDependencies(values.dependencies),
+    discovery: {include: values.include, exclude: values.exclude}
+  });
+  const output = values.format === "table" ? formatTable(manifest.routes) : JSON.stringify(manifest, null, 2);
+  process.stdout.write(`${output}\n`);
+  manifest.failures.forEach(({source, error}) => {
+    process.stderr.write(`${source} could not be loaded: ${error}\n`);
+  });
+  return manifest.failures.length > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2))
+  .then((exitCode) => {
+    process.exitCode = exitCode;
+  })
+  .catch((err) => {
+    process.stderr.write(`${err.stack || err}\n`);
+    process.exitCode = 1;
+  });
@@ -2,11 +2,15 @@ exports.responseHandlers = require("./lib/http-response-handlers");
 exports.ValidationError = require("./lib/validation-error");
 exports.validateSwaggerSchema = require("./lib/swagger-validate-schema");
 exports.swaggerRequestHandler = require("./lib/swagger-request-handler");
+exports.withSecurity = require("./lib/swagger-request-handler").withSecurity;
 exports.LogErrorsMiddleware = require("./lib/log-errors-middleware");
 exports.PaginatedResponseBuilder = require("./lib/paginated-response-builder");
 exports.registerModules = require("./lib/register").registerModules;
+exports.registerModulesAsync = require("./lib/register").registerModulesAsync;
+exports.buildRouteManifest = require("./lib/route-manifest").buildRouteManifest;
 exports.validationPatterns = require("./lib/validation-patterns");
 exports.swaggerSchemas = require("./lib/swagger-schemas");
 exports.lexiconCommands = require("./lib/lexicons-commands");
 exports.ExpiringKeys = require("./lib/expiring-keys");
-
+exports.keyStores = require("./lib/key-stores");
+exports.RateLimiter = require("./lib/rate-limiter");
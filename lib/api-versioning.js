@@ -0,0 +1,121 @@
+// Versioning for register().  It is enabled by the 'versioning' dependency:
+//
+//   versioning: {
+//     versions: {
+//       v1: {swagger: swaggerV1, models: {models: {...}}, deprecated: "2024-01-01", sunset: "2025-06-30", link: "https://..."},
+//       v2: {swagger: swaggerV2}
+//     },
+//     prefix: version => `/${version}`   // optional, the prefix of the paths of the version
+//   }
+//
+// A handler belongs to the 'version' returned by its 'configuration()', or else to the version of the nearest folder
+// named like a version (ie. "trips/handlers/v2/get-trip.js" or "v2/trips/handlers/get-trip.js").  Each version can have
+// its own swagger document and models, and handlers of deprecated versions send the Deprecation (RFC 9745), Sunset
+// (RFC 8594) and Link headers.
+const isPlainObject = require("lodash.isplainobject");
+
+const VERSION_FOLDER = /^v\d+$/;
+
+function defaultPrefix(version) {
+  return `/${version}`;
+}
+
+function getVersioning(dependencies) {
+  const versioning = dependencies.versioning;
+  if (versioning === undefined) {
+    return null;
+  }
+  if (!isPlainObject(versioning) || !isPlainObject(versioning.versions)) {
+    throw new Error("register() has invalid 'versioning'.  The 'versioning' should be an object with a 'versions' object, " +
+      "which has the options of each version.");
+  }
+  return {
+    versions: versioning.versions,
+    prefix: versioning.prefix ?? defaultPrefix
+  };
+}
+
+// 'relativePath' uses "/" as separator, the version of the deepest folder wins
+function getFolderVersion(versioning, relativePath) {
+  if (!versioning) {
+    return undefined;
+  }
+  return relativePath.split("/")
+    .slice(0, -1)
+    .filter((folder) => {
+      return VERSION_FOLDER.test(folder);
+    })
+    .pop();
+}
+
+function getHandlerVersion(dependencies, handlerConfiguration, folderVersion, handlerInstance) {
+  const versioning = getVersioning(dependencies);
+  const version = handlerConfiguration?.version ?? folderVersion;
+  if (version === undefined) {
+    return undefined;
+  }
+  if (!versioning || !Object.hasOwn(versioning.versions, version)) {
+    throw new Error(`${handlerInstance.constructor.name} belongs to version '${version}', which is not in the 'versioning.versions' ` +
+      "given to register().");
+  }
+  return version;
+}
+
+function toDate(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`register() has an invalid date "${value}" in 'versioning.versions'.`);
+  }
+  return date;
+}
+
+function applyVersionToSpec(dependencies, version, spec) {
+  const versioning = getVersioning(dependencies);
+  const versionOptions = versioning.versions[version] ?? {};
+  const versionedSpec = {...spec, path: `${versioning.prefix(version)}${spec.path}`};
+  if (versionOptions.deprecated || versionOptions.sunset) {
+    versionedSpec.deprecated = true;
+  }
+  return versionedSpec;
+}
+
+// 'deprecated' is true, or the date on which the version was deprecated
+function getDeprecationMiddleware(dependencies, version) {
+  const versionOptions = getVersioning(dependencies).versions[version] ?? {};
+  const headers = {};
+  if (versionOptions.deprecated === true) {
+    headers.Deprecation = "true";
+  } else if (versionOptions.deprecated) {
+    headers.Deprecation = `@${Math.floor(toDate(versionOptions.deprecated).getTime() / 1000)}`;
+  }
+  if (versionOptions.sunset) {
+    headers.Sunset = toDate(versionOptions.sunset).toUTCString();
+  }
+  if (versionOptions.link && Object.keys(headers).length > 0) {
+    headers.Link = `<${versionOptions.link}>; rel="deprecation"`;
+  }
+
+  if (Object.keys(headers).length === 0) {
+    return [];
+  }
+  return [function versionDeprecationHeaders(req, res, next) {
+    res.set(headers);
+    next();
+  }];
+}
+
+function getVersionSwagger(dependencies, version) {
+  if (version === undefined) {
+    return dependencies.swagger;
+  }
+  return getVersioning(dependencies).versions[version]?.swagger ?? dependencies.swagger;
+}
+
+module.exports = {
+  getVersioning,
+  getFolderVersion,
+  getHandlerVersion,
+  applyVersionToSpec,
+  getDeprecationMiddleware,
+  getVersionSwagger
+};
@@ -0,0 +1,153 @@
+// The routes register() adds on its own once every handler is registered: a HEAD route for every GET, answered by the
+// same handlers (Express leaves the body out of the response), and an OPTIONS route for every path, which lists the
+// allowed methods and answers the CORS preflight requests of the handlers which have a 'cors' policy.  Paths which
+// already have a HEAD or OPTIONS handler are left alone.  Both are added to the swagger document of the handlers, which
+// needs the 'addHead()' and 'addOptions()' functions of btrz-swagger-express.  Without them, the routes are only added
+// when register() is given the Express 'app', and are left out of the swagger document.
+const {getPreflightHeaders} = require("./cors");
+
+const METHOD_ORDER = ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"];
+const SWAGGER_FUNCTIONS = ["addHead", "addOptions"];
+
+// ie. "options" and "/trips/{tripId}" give "optionsTripsTripId"
+function toNickname(prefix, path) {
+  return path.split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .reduce((nickname, word) => {
+      return `${nickname}${word.charAt(0).toUpperCase()}${word.slice(1)}`;
+    }, prefix);
+}
+
+function getPathParameters(spec) {
+  return (spec.parameters ?? []).filter((parameter) => {
+    return parameter.in === "path" || parameter.paramType === "path";
+  });
+}
+
+function sortMethods(methods) {
+  return [...methods].sort((a, b) => {
+    return METHOD_ORDER.indexOf(a) - METHOD_ORDER.indexOf(b);
+  });
+}
+
+function createHeadHandler(getHandler) {
+  const getSpec = getHandler.spec;
+  const responses = {};
+  Object.keys(getSpec.responses ?? {}).forEach((status) => {
+    const response = {...getSpec.responses[status]};
+    Reflect.deleteProperty(response, "schema");
+    responses[status] = response;
+  });
+  return {
+    spec: {
+      ...getSpec,
+      method: "HEAD",
+      nickname: `${getSpec.nickname ?? toNickname("get", getSpec.path)}Head`,
+      responses
+    },
+    action: getHandler.action
+  };
+}
+
+function getOptionsSpec(path, routes, corsMethods) {
+  const headers = {Allow: {type: "string", description: "The methods allowed for the path"}};
+  if (corsMethods.length > 0) {
+    headers["Access-Control-Allow-Origin"] = {type: "string", description: "Sent to the preflight requests of allowed origins"};
+    headers["Access-Control-Allow-Methods"] = {type: "string", description: "The methods which can be called from other origins"};
+  }
+  return {
+    path,
+    method: "OPTIONS",
+    summary: `Lists the methods allowed for ${path}`,
+    nickname: toNickname("options", path),
+    parameters: getPathParameters(routes.values().next().value.handler.spec),
+    responses: {
+      204: {description: "The allowed methods are listed in the Allow header", headers}
+    },
+    security: []
+  };
+}
+
+function createOptionsHandler(path, routes) {
+  const allowedMethods = sortMethods([...routes.keys(), "OPTIONS"]);
+  const corsMethods = allowedMethods.filter((method) => {
+    return routes.get(method)?.cors;
+  });
+
+  return {
+    spec: getOptionsSpec(path, routes, corsMethods),
+    action(req, res) {
+      res.set("Allow", allowedMethods.join(", "));
+      const requestedMethod = req.get("Access-Control-Request-Method");
+      const policy = requestedMethod ? routes.get(requestedMethod.toUpperCase())?.cors : null;
+      if (policy) {
+        res.vary("Origin");
+        res.set(getPreflightHeaders(policy, req, corsMethods) ?? {});
+      }
+      res.status(204).end();
+    }
+  };
+}
+
+class AutomaticRoutes {
+  constructor(options = {}) {
+    this.logger = options.logger;
+    this.app = options.app;
+    this.documents = new Map();
+  }
+
+  // 'handler' is the result of swaggerRequestHandler(), and 'cors' the policy of the handler, if any
+  addRoute(swagger, handler, cors) {
+    const {path, method} = handler.spec;
+    if (!this.documents.has(swagger)) {
+      this.documents.set(swagger, new Map());
+    }
+    const paths = this.documents.get(swagger);
+    if (!paths.has(path)) {
+      paths.set(path, new Map());
+    }
+    paths.get(path).set(method, {handler, cors});
+  }
+
+  _isSupported(swagger) {
+    const missing = SWAGGER_FUNCTIONS.filter((functionName) => {
+      return typeof swagger[functionName] !== "function";
+    });
+    if (missing.length === 0) {
+      return true;
+    }
+    const functions = `'${missing.join("()' or '")}()'`;
+    if (this.app) {
+      this.logger?.warn?.("register: the HEAD and OPTIONS routes were added to the Express 'app', but not to the swagger " +
+        `document, which has no ${functions} function.  Upgrade btrz-swagger-express to document them.`);
+      return true;
+    }
+    this.logger?.warn?.("register: the HEAD and OPTIONS routes were not added, because the swagger document has no " +
+      `${functions} function.  Give register() the Express 'app', or upgrade btrz-swagger-express, to add them.`);
+    return false;
+  }
+
+  // Returns the HEAD and OPTIONS handlers to add to each swagger document, as {swagger, handler}
+  createHandlers() {
+    const handlers = [];
+    this.documents.forEach((paths, swagger) => {
+      if (!this._isSupported(swagger)) {
+        return;
+      }
+      paths.forEach((routes, path) => {
+        const getRoute = routes.get("GET");
+        if (getRoute && !routes.has("HEAD")) {
+          const headHandler = createHeadHandler(getRoute.handler);
+          routes.set("HEAD", {handler: headHandler, cors: getRoute.cors});
+          handlers.push({swagger, handler: headHandler});
+        }
+        if (!routes.has("OPTIONS")) {
+          handlers.push({swagger, handler: createOptionsHandler(path, routes)});
+        }
+      });
+    });
+    return handlers;
+  }
+}
+
+module.exports = AutomaticRoutes;
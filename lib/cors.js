@@ -0,0 +1,116 @@
+// CORS policies of the handlers registered by register().  The 'cors' of a handler configuration is true (any origin)
+// or an object:
+//
+//   cors: {
+//     origins: ["https://websales.betterez.com", /\.betterez\.com$/],   // or "*"
+//     allowedHeaders: ["X-API-KEY", "Authorization", "Content-Type"],     // optional, defaults to the requested headers
+//     exposedHeaders: ["X-Total-Count"],                                  // optional
+//     credentials: true,                                                  // optional
+//     maxAge: 600                                                         // optional, in seconds
+//   }
+const isPlainObject = require("lodash.isplainobject");
+
+function isListOf(value, isValid) {
+  return Array.isArray(value) && value.every(isValid);
+}
+
+function isOrigin(origin) {
+  return typeof origin === "string" || origin instanceof RegExp;
+}
+
+function isHeaderName(header) {
+  return typeof header === "string";
+}
+
+function getCorsPolicy(handlerConfiguration, handlerInstance) {
+  const cors = handlerConfiguration?.cors;
+  if (cors === undefined || cors === false) {
+    return null;
+  }
+  const policy = cors === true ? {origins: "*"} : cors;
+  if (!isPlainObject(policy) ||
+    !(policy.origins === "*" || isListOf(policy.origins, isOrigin)) ||
+    !(policy.allowedHeaders === undefined || isListOf(policy.allowedHeaders, isHeaderName)) ||
+    !(policy.exposedHeaders === undefined || isListOf(policy.exposedHeaders, isHeaderName)) ||
+    !(policy.maxAge === undefined || Number.isInteger(policy.maxAge))) {
+    throw new Error(`${handlerInstance.constructor.name} has invalid 'cors'.  ` +
+      "The 'cors' returned by the 'configuration()' function should be true, or an object with the allowed 'origins' " +
+      "(\"*\" or an array of strings and regular expressions), and optionally 'allowedHeaders', 'exposedHeaders', " +
+      "'credentials' and 'maxAge'.");
+  }
+  return {
+    origins: policy.origins,
+    allowedHeaders: policy.allowedHeaders,
+    exposedHeaders: policy.exposedHeaders ?? [],
+    credentials: policy.credentials === true,
+    maxAge: policy.maxAge
+  };
+}
+
+// Returns the value of the Access-Control-Allow-Origin header, or null when the origin is not allowed.  "*" can't be
+// used along with credentials, so the origin is sent back instead.
+function getAllowedOrigin(policy, origin) {
+  if (!origin) {
+    return null;
+  }
+  if (policy.origins === "*") {
+    return policy.credentials ? origin : "*";
+  }
+  const allowed = policy.origins.some((allowedOrigin) => {
+    return allowedOrigin instanceof RegExp ? allowedOrigin.test(origin) : allowedOrigin === origin;
+  });
+  return allowed ? origin : null;
+}
+
+function getCorsMiddleware(policy) {
+  if (!policy) {
+    return [];
+  }
+  return [function corsHeaders(req, res, next) {
+    const allowedOrigin = getAllowedOrigin(policy, req.get("Origin"));
+    if (policy.origins !== "*" || policy.credentials) {
+      res.vary("Origin");
+    }
+    if (allowedOrigin) {
+      res.set("Access-Control-Allow-Origin", allowedOrigin);
+      if (policy.credentials) {
+        res.set("Access-Control-Allow-Credentials", "true");
+      }
+      if (policy.exposedHeaders.length > 0) {
+        res.set("Access-Control-Expose-Headers", policy.exposedHeaders.join(", "));
+      }
+    }
+    next();
+  }];
+}
+
+// The headers of the response to a preflight request, or null when the request is not allowed by the policy.
+// 'allowedMethods' are the methods of the path which have a CORS policy.
+function getPreflightHeaders(policy, req, allowedMethods) {
+  const allowedOrigin = getAllowedOrigin(policy, req.get("Origin"));
+  if (!allowedOrigin) {
+    return null;
+  }
+  const headers = {
+    "Access-Control-Allow-Origin": allowedOrigin,
+    "Access-Control-Allow-Methods": allowedMethods.join(", ")
+  };
+  const allowedHeaders = policy.allowedHeaders?.join(", ") ?? req.get("Access-Control-Request-Headers");
+  if (allowedHeaders) {
+    headers["Access-Control-Allow-Headers"] = allowedHeaders;
+  }
+  if (policy.credentials) {
+    headers["Access-Control-Allow-Credentials"] = "true";
+  }
+  if (policy.maxAge !== undefined) {
+    headers["Access-Control-Max-Age"] = String(policy.maxAge);
+  }
+  return headers;
+}
+
+module.exports = {
+  getCorsPolicy,
+  getAllowedOrigin,
+  getCorsMiddleware,
+  getPreflightHeaders
+};
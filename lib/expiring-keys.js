@@ -1,12 +1,193 @@
+const crypto = require("node:crypto");
+const {toKeyStore} = require("./key-stores");
+const {normalizeLookup, buildKeyMaterial, hash} = require("./request-lookups");
+
+const DEFAULT_IDEMPOTENCY_TTL = 24 * 60 * 60 * 1000;
+const PROCESSING = "processing";
+const COMPLETED = "completed";
+const RELEASE = "release";
+const KEEP = "keep";
+const EXTEND = "extend";
+const RELEASE_POLICIES = [RELEASE, KEEP, EXTEND];
+const FAIL_OPEN = "fail-open";
+const FAIL_CLOSED = "fail-closed";
+// Headers that describe the original connection or are recomputed by Express when the body is sent again
+const HEADERS_NOT_REPLAYED = ["connection", "content-length", "date", "etag", "keep-alive", "set-cookie", "transfer-encoding"];
+
+function requestFingerprint(req) {
+  return hash(JSON.stringify(req.body ?? null));
+}
+
+function getIdempotencyOptions(opts) {
+  if (!opts.idempotency) {
+    return null;
+  }
+  const idempotency = opts.idempotency === true ? {} : opts.idempotency;
+  return {
+    ttl: idempotency.ttl || DEFAULT_IDEMPOTENCY_TTL,
+    fingerprint: typeof idempotency.fingerprint === "function" ? idempotency.fingerprint : requestFingerprint
+  };
+}
+
+function getAutoReleaseOptions(opts) {
+  if (!opts.autoRelease) {
+    return null;
+  }
+  const autoRelease = opts.autoRelease === true ? {} : opts.autoRelease;
+  const policies = {
+    success: autoRelease.success || RELEASE,
+    clientError: autoRelease.clientError || RELEASE,
+    serverError: autoRelease.serverError || RELEASE
+  };
+  Object.entries(policies).forEach(([outcome, policy]) => {
+    if (!RELEASE_POLICIES.includes(policy)) {
+      throw new Error(`ExpiringKeys has an invalid 'autoRelease.${outcome}' policy "${policy}".  ` +
+        `The policy should be one of: ${RELEASE_POLICIES.join(", ")}.`);
+    }
+  });
+  return {
+    ...policies,
+    extendBy: autoRelease.extendBy || opts.expire || 15000
+  };
+}
+
+function getHeartbeatOptions(opts) {
+  if (!opts.heartbeat) {
+    return null;
+  }
+  const heartbeat = opts.heartbeat === true ? {} : opts.heartbeat;
+  const expire = opts.expire || 15000;
+  const interval = heartbeat.interval || Math.floor(expire / 3);
+  if (interval >= expire) {
+    throw new Error("ExpiringKeys has an invalid 'heartbeat.interval'.  " +
+      `The interval should be shorter than 'expire' (${expire} ms), otherwise the key expires before it is extended.`);
+  }
+  return {interval, expire};
+}
+
+function createProcessingValue(fingerprint, owner) {
+  if (fingerprint === undefined && owner === undefined) {
+    return PROCESSING;
+  }
+  return JSON.stringify({state: PROCESSING, fingerprint, owner});
+}
+
+// A response that was closed before it finished (ie. the client went away) is handled like a server error
+function getOutcome(res, finished) {
+  if (!finished || res.statusCode >= 500) {
+    return "serverError";
+  }
+  if (res.statusCode >= 400) {
+    return "clientError";
+  }
+  return "success";
+}
+
+function getStorageErrorHandler(opts) {
+  const onStorageError = opts.onStorageError || FAIL_OPEN;
+  if (typeof onStorageError === "function") {
+    return onStorageError;
+  }
+  if (onStorageError === FAIL_OPEN) {
+    return (_err, req, res, next) => {
+      return next();
+    };
+  }
+  if (onStorageError === FAIL_CLOSED) {
+    return (_err, req, res) => {
+      return res.status(503).send(opts.storageErrorMessage || "The request can not be processed right now, please try again later");
+    };
+  }
+  throw new Error(`ExpiringKeys has an invalid 'onStorageError' policy "${onStorageError}".  ` +
+    `The policy should be "${FAIL_OPEN}", "${FAIL_CLOSED}" or a function.`);
+}
+
+function parseStoredValue(value) {
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && parsed.state ? parsed : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// 'onSend' is called once the body is sent, even when the connection was closed before, and 'finish' never comes
+function captureResponseBody(res) {
+  const captured = {body: undefined, onSend: null};
+  const send = res.send;
+  res.send = function _send(body) {
+    captured.body = body;
+    const result = Reflect.apply(send, this, [body]);
+    captured.onSend?.();
+    return result;
+  };
+  return captured;
+}
+
+function serializeBody(body) {
+  if (Buffer.isBuffer(body)) {
+    return {body: body.toString("base64"), bodyEncoding: "base64"};
+  }
+  return {body};
+}
+
+function replayResponse(res, stored) {
+  Object.keys(stored.headers || {}).forEach((name) => {
+    res.setHeader(name, stored.headers[name]);
+  });
+  res.setHeader("Idempotent-Replayed", "true");
+  const body = stored.bodyEncoding === "base64" ? Buffer.from(stored.body, "base64") : stored.body;
+  return res.status(stored.status).send(body);
+}
+
+function respondToExistingKey(req, res, next, {opts, stored, fingerprint}) {
+  if (stored && stored.fingerprint !== fingerprint) {
+    return opts.onFingerprintMismatch(req, res, next);
+  }
+  if (stored && stored.state === COMPLETED) {
+    return replayResponse(res, stored);
+  }
+  return opts.onKeyFound(req, res, next);
+}
+
 class ExpiringKeys {
-  constructor(db) {
+  // 'db' is either a store from "./key-stores" or a node-redis v3 client
+  constructor(db, options = {}) {
     this.db = db;
+    this.store = toKeyStore(db, "ExpiringKeys");
+    this.logger = options.logger;
+  }
+
+  _reportError(operation, key, err) {
+    if (this.logger && this.logger.error) {
+      this.logger.error("expiring-keys:error", [operation, key, err]);
+    }
+  }
+
+  // Hooks are meant for metrics and logging, they should never change the outcome of the request
+  _runHook(name, hook, details) {
+    if (typeof hook !== "function") {
+      return;
+    }
+    try {
+      hook(details);
+    } catch (err) {
+      this._reportError(name, details.key, err);
+    }
   }
 
   middleWare(opts) {
+    if (opts.idempotency && typeof this.store.set !== "function") {
+      throw new Error("ExpiringKeys has an invalid store for 'idempotency'.  " +
+        "The store needs a set() function to store the responses that are replayed.");
+    }
+    const autoRelease = getAutoReleaseOptions(opts);
+    const heartbeat = getHeartbeatOptions(opts);
+    const onStorageError = getStorageErrorHandler(opts);
+    const lookups = [].concat(opts.lookup || []).map(normalizeLookup);
     // eslint-disable-next-line func-style
     return (req, res, next) => {
-      if (!opts.lookup) { 
+      if (!opts.lookup) {
         return next();
       }
       if (!opts.path && !req.path) {
@@ -15,65 +196,175 @@ class ExpiringKeys {
       if (!opts.method && !req.method) {
         return next();
       }
-      opts.lookup = Array.isArray(opts.lookup) ? opts.lookup : [opts.lookup];
       opts.onKeyFound = typeof opts.onKeyFound === "function" ? opts.onKeyFound : (req, res, next) => {
         return res.status(409).send(opts.message || "A blocking key was found");
       };
-      const lookups = opts.lookup.map((item) => {
-        if (item.keyName && item.alternateKeyName) {
-          const keyName = item.alternateKeyName;
-          return `${keyName}:${item.keyName.split(".").reduce((prev, cur) => {
-            return prev[cur];
-          }, req)}`;
-        }
-
-        try {
-          return `${item}:${item.split(".").reduce((prev, cur) => {
-            return prev[cur];
-          }, req)}`;
-        } catch (err) {
-          return "error:undefined"; 
-        }
-      });
+      opts.onFingerprintMismatch = typeof opts.onFingerprintMismatch === "function" ? opts.onFingerprintMismatch : (request, response) => {
+        return response.status(422).send(opts.mismatchMessage || "The idempotency key was already used for a different request");
+      };
+      const keyMaterial = buildKeyMaterial(lookups, req);
+      if (!keyMaterial) {
+        return next();
+      }
+
       const path = opts.path || req.path;
       const method = (opts.method || req.method).toLowerCase();
-      const noValue = lookups.find((lookup) => {
-        return lookup.endsWith("undefined");
+      const key = `key:${path}:${method}:${opts.hashKey ? hash(keyMaterial) : keyMaterial}`;
+      const idempotency = getIdempotencyOptions(opts);
+      const fingerprint = idempotency ? idempotency.fingerprint(req) : undefined;
+
+      return this._acquire(req, res, next, {key, opts, idempotency, fingerprint, autoRelease, heartbeat, onStorageError});
+    };
+  }
+
+  async _acquire(req, res, next, settings) {
+    const {key, opts, idempotency, fingerprint, autoRelease, heartbeat, onStorageError} = settings;
+    let value = null;
+    try {
+      value = await this.store.get(key);
+    } catch (err) {
+      this._reportError("get", key, err);
+      return onStorageError(err, req, res, next);
+    }
+
+    if (value) {
+      const stored = idempotency ? parseStoredValue(value) : null;
+      return respondToExistingKey(req, res, next, {opts, stored, fingerprint});
+    }
+    if (opts.checkForKeyOnly) {
+      return next();
+    }
+
+    const owner = heartbeat ? crypto.randomUUID() : undefined;
+    const initialValue = createProcessingValue(fingerprint, owner);
+    let acquired = false;
+    try {
+      acquired = await this.store.setIfAbsent(key, initialValue, opts.expire || 15000);
+    } catch (err) {
+      this._reportError("setIfAbsent", key, err);
+      return onStorageError(err, req, res, next);
+    }
+    if (!acquired) {
+      return opts.onKeyFound(req, res, next);
+    }
+
+    req.uniqueRequestKey = key;
+    if (owner) {
+      req.uniqueRequestKeyOwner = owner;
+    }
+    this._runHook("onAcquired", opts.onAcquired, {key, req});
+    if (idempotency || autoRelease || heartbeat) {
+      this._watchResponse(key, req, res, {
+        idempotency, fingerprint, autoRelease, heartbeat, owner, value: initialValue, onReleased: opts.onReleased
       });
-      
-      if (noValue) {
-        return next();
-      }
+    }
+    return next();
+  }
 
-      const key = `key:${path}:${method}:${lookups.join(":")}`;
-
-      this.db.get(key, (err, value) => {
-        if (err) {
-          return next();
-        }
-        if (value) {
-          return opts.onKeyFound(req, res, next);
-        }
-        if (opts.checkForKeyOnly) {
-          return next();
-        }
-
-        this.db.set(key, "processing", "NX", "PX", opts.expire || 15000, (err, result) => {
-          if (!result) {
-            return opts.onKeyFound(req, res, next);
+  // Decides what happens to the key once the response finishes, or the connection closes before that.
+  // In idempotency mode, responses that are not server errors are saved under the key so they can be replayed, and a
+  // connection closed by the client keeps the key, since the handler can still be running.
+  // Otherwise the 'autoRelease' policy for the outcome is applied, or the key is released when only idempotency is enabled.
+  // With a heartbeat, the key is extended while the request is in flight, for as long as it still holds our owner token.
+  _watchResponse(key, req, res, settings) {
+    const {idempotency, fingerprint, autoRelease, heartbeat, owner, value, onReleased} = settings;
+    const captured = idempotency ? captureResponseBody(res) : null;
+    const startedAt = Date.now();
+    let settled = false;
+    let timer = null;
+
+    if (heartbeat) {
+      timer = setInterval(() => {
+        this.store.extend(key, heartbeat.expire, value).then((extended) => {
+          if (!extended) {
+            clearInterval(timer);
           }
+        }, (err) => {
+          this._reportError("heartbeat", key, err);
+        });
+      }, heartbeat.interval);
+      timer.unref?.();
+    }
 
-          req.uniqueRequestKey = key;
-          return next();
+    const settle = (finished) => {
+      if (settled) {
+        return;
+      }
+      clearInterval(timer);
+      if (idempotency && !finished) {
+        // The response of the handler is stored once it is sent, otherwise the key expires by itself
+        captured.onSend = () => {
+          settle(true);
+        };
+        return;
+      }
+      settled = true;
+      const outcome = getOutcome(res, finished);
+
+      if (!idempotency && !autoRelease) {
+        return;
+      }
+
+      if (idempotency && outcome !== "serverError") {
+        this._storeResponse(res, captured.body, {key, fingerprint, ttl: idempotency.ttl});
+        return;
+      }
+
+      const policy = autoRelease ? autoRelease[outcome] : RELEASE;
+      if (policy === EXTEND) {
+        this.store.extend(key, autoRelease.extendBy, owner ? value : undefined).catch((err) => {
+          this._reportError("extend", key, err);
         });
-      });
+      } else if (policy === RELEASE) {
+        this.clean(key, owner).then(() => {
+          this._runHook("onReleased", onReleased, {key, req, outcome, statusCode: res.statusCode, duration: Date.now() - startedAt});
+        });
+      }
     };
+
+    res.on("finish", () => {
+      settle(true);
+    });
+    res.on("close", () => {
+      settle(false);
+    });
   }
 
-  clean(key) {
-    this.db.del(key, (err, result) => {
-      return result;
+  _storeResponse(res, body, {key, fingerprint, ttl}) {
+    const headers = {};
+    Object.entries(res.getHeaders()).forEach(([name, value]) => {
+      if (!HEADERS_NOT_REPLAYED.includes(name.toLowerCase())) {
+        headers[name] = value;
+      }
+    });
+    const stored = JSON.stringify({
+      state: COMPLETED,
+      fingerprint,
+      status: res.statusCode,
+      headers,
+      ...serializeBody(body)
     });
+    this.store.set(key, stored, ttl).catch((err) => {
+      this._reportError("set", key, err);
+    });
+  }
+
+  // Keys set with a heartbeat hold an owner token (req.uniqueRequestKeyOwner), and are only removed when it is given
+  async clean(key, owner) {
+    try {
+      const value = await this.store.get(key);
+      if (!value) {
+        return false;
+      }
+      const stored = parseStoredValue(value);
+      if (stored && stored.owner) {
+        return stored.owner === owner ? await this.store.delete(key, value) : false;
+      }
+      return await this.store.delete(key);
+    } catch (err) {
+      this._reportError("delete", key, err);
+      return false;
+    }
   }
 }
 
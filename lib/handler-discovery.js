@@ -0,0 +1,155 @@
+// Finds the resources and handler files loaded by register().  A resource is any folder under the base path which has a
+// "handlers" or a "models" folder, and resources can be nested inside other folders, ie. "accounts/users/handlers".
+// Handler files can also be nested in folders inside "handlers".  Everything is returned sorted by path, so that handlers
+// are registered in the same order on every machine.
+const fs = require("node:fs");
+const isPlainObject = require("lodash.isplainobject");
+const path = require("node:path");
+const {pathToFileURL} = require("node:url");
+
+const DEFAULT_EXTENSIONS = [".js"];
+const MODULE_EXTENSIONS = [".js", ".mjs", ".cjs"];
+const RESOURCE_FOLDERS = ["handlers", "models"];
+
+// "**" matches any number of folders, "*" matches anything but "/" and "?" matches a single character
+function globToRegExp(pattern) {
+  let source = "";
+  let i = 0;
+  while (i < pattern.length) {
+    const char = pattern[i];
+    if (pattern.startsWith("**/", i)) {
+      source += "(?:.*/)?";
+      i += 3;
+    } else if (pattern.startsWith("**", i)) {
+      source += ".*";
+      i += 2;
+    } else {
+      if (char === "*") {
+        source += "[^/]*";
+      } else if (char === "?") {
+        source += "[^/]";
+      } else {
+        source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+      }
+      i += 1;
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function toList(value) {
+  if (value === undefined) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+function getDiscoveryOptions(discovery = {}, defaultExtensions = DEFAULT_EXTENSIONS) {
+  const extensions = toList(discovery.extensions);
+  return {
+    include: toList(discovery.include).map(globToRegExp),
+    exclude: toList(discovery.exclude).map(globToRegExp),
+    extensions: extensions.length > 0 ? extensions : defaultExtensions
+  };
+}
+
+function readFolder(folderPath) {
+  return fs.readdirSync(folderPath, {withFileTypes: true})
+    .sort((a, b) => {
+      return a.name < b.name ? -1 : Number(a.name > b.name);
+    });
+}
+
+function isFolder(folderPath) {
+  return fs.existsSync(folderPath) && fs.statSync(folderPath).isDirectory();
+}
+
+function findResources(basePath, folderPath = basePath, resources = []) {
+  readFolder(folderPath)
+    .filter((entry) => {
+      return entry.isDirectory() && !RESOURCE_FOLDERS.includes(entry.name);
+    })
+    .forEach((entry) => {
+      const resourcePath = path.join(folderPath, entry.name);
+      const handlersPath = path.join(resourcePath, "handlers");
+      const modelsPath = path.join(resourcePath, "models");
+      if (isFolder(handlersPath) || fs.existsSync(modelsPath)) {
+        resources.push({
+          resourcePath,
+          handlersPath: isFolder(handlersPath) ? handlersPath : null,
+          modelsPath: fs.existsSync(modelsPath) ? modelsPath : null
+        });
+      }
+      findResources(basePath, resourcePath, resources);
+    });
+  return resources;
+}
+
+function toRelativePath(basePath, filePath) {
+  return path.relative(basePath, filePath).split(path.sep)
+    .join("/");
+}
+
+function isHandlerFile(relativePath, options) {
+  const included = options.include.length === 0 || options.include.some((pattern) => {
+    return pattern.test(relativePath);
+  });
+  const excluded = options.exclude.some((pattern) => {
+    return pattern.test(relativePath);
+  });
+  return included && !excluded && options.extensions.includes(path.extname(relativePath));
+}
+
+// The include and exclude patterns are matched against the path of the file relative to the base path, using "/" as
+// separator, ie. "tickets/handlers/get-ticket.js"
+function findHandlerFiles(basePath, handlersPath, options, handlerPaths = []) {
+  readFolder(handlersPath).forEach((entry) => {
+    const entryPath = path.join(handlersPath, entry.name);
+    if (entry.isDirectory()) {
+      findHandlerFiles(basePath, entryPath, options, handlerPaths);
+    } else if (isHandlerFile(toRelativePath(basePath, entryPath), options)) {
+      handlerPaths.push(entryPath);
+    }
+  });
+  return handlerPaths;
+}
+
+// import() does not resolve folders, so the "index" file of a folder is loaded instead, like require() does
+function resolveModulePath(modulePath) {
+  if (!isFolder(modulePath)) {
+    return modulePath;
+  }
+  const indexPath = MODULE_EXTENSIONS
+    .map((extension) => {
+      return path.join(modulePath, `index${extension}`);
+    })
+    .find((candidate) => {
+      return fs.existsSync(candidate);
+    });
+  return indexPath ?? path.join(modulePath, "index.js");
+}
+
+// Loads CommonJS and ES modules.  The exports of CommonJS modules are also available as named exports.
+async function importModule(modulePath) {
+  const loadedModule = await import(pathToFileURL(resolveModulePath(modulePath)).href);
+  return isPlainObject(loadedModule.default) ? {...loadedModule.default, ...loadedModule} : loadedModule;
+}
+
+// The handler class is the 'Handler' export, or the default export of an ES module
+function getHandlerExport(loadedModule) {
+  if (loadedModule.Handler !== undefined) {
+    return loadedModule.Handler;
+  }
+  return typeof loadedModule.default === "function" ? loadedModule.default : undefined;
+}
+
+module.exports = {
+  DEFAULT_EXTENSIONS,
+  MODULE_EXTENSIONS,
+  globToRegExp,
+  getDiscoveryOptions,
+  findResources,
+  findHandlerFiles,
+  importModule,
+  getHandlerExport
+};
@@ -0,0 +1,60 @@
+// The hooks of the handlers registered by register(), returned by the 'configuration()' function of the handler:
+//
+//   beforeValidation(req, res)       // before the request is validated against the spec
+//   afterValidation(req, res)        // once the request is valid, before the handler.  ie. to load a resource by its id
+//   beforeResponse(body, req, res)   // with the body returned by the handler, returns the body to send instead, if any
+//   onResponse(req, res)             // once the response is sent, including the error responses and the ones sent by a middleware
+//
+// The hooks can be async.  A hook short-circuits the request by sending the response itself, or by throwing an error,
+// which is sent like the errors of the handler.  The response is already sent when 'onResponse()' is called, so its
+// errors are only logged.
+const HOOK_NAMES = ["beforeValidation", "afterValidation", "beforeResponse", "onResponse"];
+
+function getHandlerHooks(handlerConfiguration, handlerInstance) {
+  const invalidHook = HOOK_NAMES.find((hookName) => {
+    return handlerConfiguration?.[hookName] !== undefined && typeof handlerConfiguration[hookName] !== "function";
+  });
+  if (invalidHook) {
+    throw new Error(`${handlerInstance.constructor.name} has invalid '${invalidHook}'.  ` +
+      `The '${invalidHook}' returned by the 'configuration()' function should be a function.`);
+  }
+  const hooks = {};
+  HOOK_NAMES.forEach((hookName) => {
+    hooks[hookName] = handlerConfiguration?.[hookName] ?? null;
+  });
+  return hooks;
+}
+
+// Runs the 'beforeValidation()' or 'afterValidation()' hook.  Resolves with true when the hook sent the response.
+async function runRequestHook(hook, req, res) {
+  if (hook) {
+    await hook(req, res);
+  }
+  return Boolean(res.headersSent);
+}
+
+// Resolves with the body to send
+async function runBeforeResponseHook(hook, body, req, res) {
+  if (!hook) {
+    return body;
+  }
+  const transformedBody = await hook(body, req, res);
+  return transformedBody === undefined ? body : transformedBody;
+}
+
+// The 'onResponse()' hook as a 'finally' hook of swaggerRequestHandler(), which logs its errors
+function getFinallyHooks(hooks) {
+  if (!hooks.onResponse) {
+    return [];
+  }
+  return [function onResponse(req, res) {
+    return hooks.onResponse(req, res);
+  }];
+}
+
+module.exports = {
+  getHandlerHooks,
+  runRequestHook,
+  runBeforeResponseHook,
+  getFinallyHooks
+};
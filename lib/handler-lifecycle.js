@@ -0,0 +1,138 @@
+const ValidationError = require("./validation-error");
+
+function getHandlerName(handlerInstance) {
+  return handlerInstance.constructor.name;
+}
+
+// Handlers can declare 'init()' to prepare themselves before receiving requests (ie. to warm a cache), and 'close()' to
+// release what they hold when the server stops.  Both can be instance or static methods and can return promises.
+// Requests which arrive before the 'init()' of their handler has finished wait for it, and requests which arrive once
+// the registration is closing are rejected with a 503 error.  With 'hooks: false' the requests are still tracked, but
+// 'init()' and 'close()' are not called.
+class HandlerLifecycle {
+  constructor(options = {}) {
+    this.logger = options.logger;
+    this.hooks = options.hooks ?? true;
+    this.handlers = [];
+    this.initPromises = [];
+    this.inFlight = 0;
+    this.closing = null;
+    this.onDrained = [];
+  }
+
+  _callHook(handlerInstance, hookName) {
+    if (!this.hooks) {
+      return undefined;
+    }
+    if (typeof handlerInstance[hookName] === "function") {
+      return handlerInstance[hookName]();
+    }
+    if (typeof handlerInstance.constructor[hookName] === "function") {
+      return handlerInstance.constructor[hookName]();
+    }
+    return undefined;
+  }
+
+  _requestStarted(res) {
+    let finished = false;
+    const requestFinished = () => {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      this.inFlight -= 1;
+      if (this.inFlight === 0) {
+        this.onDrained.splice(0).forEach((resolve) => {
+          return resolve();
+        });
+      }
+    };
+    this.inFlight += 1;
+    res.once("finish", requestFinished);
+    res.once("close", requestFinished);
+  }
+
+  _waitForRequests(timeout) {
+    if (this.inFlight === 0) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      let timer = null;
+      function drained() {
+        clearTimeout(timer);
+        resolve();
+      }
+      this.onDrained.push(drained);
+      if (timeout !== undefined) {
+        timer = setTimeout(() => {
+          this.onDrained = this.onDrained.filter((callback) => {
+            return callback !== drained;
+          });
+          this.logger?.warn?.(`register: closing with ${this.inFlight} request(s) still in flight after ${timeout}ms`);
+          resolve();
+        }, timeout);
+      }
+    });
+  }
+
+  // Starts the 'init()' of the handler, and returns the middleware which tracks its requests
+  addHandler(handlerInstance) {
+    const initPromise = Promise.resolve()
+      .then(() => {
+        return this._callHook(handlerInstance, "init");
+      });
+    // The failure is also reported by ready(), and to the requests of the handler
+    initPromise.catch((error) => {
+      this.logger?.error?.("register:init", [getHandlerName(handlerInstance), error]);
+    });
+    this.handlers.push(handlerInstance);
+    this.initPromises.push(initPromise);
+
+    return (req, res, next) => {
+      if (this.closing) {
+        next(new ValidationError("SERVICE_UNAVAILABLE", "The service is shutting down", 503));
+        return;
+      }
+      this._requestStarted(res);
+      initPromise.then(() => {
+        return next();
+      }, next);
+    };
+  }
+
+  ready() {
+    return Promise.all(this.initPromises).then(() => {
+      return undefined;
+    });
+  }
+
+  // Stops accepting requests, waits for the requests in flight (for 'timeout' ms at most, if given), then calls the
+  // 'close()' of every handler in the reverse order of registration.  Rejects with the first error thrown by a handler,
+  // once all of them were closed.
+  close(options = {}) {
+    if (!this.closing) {
+      this.closing = this._close(options.timeout);
+    }
+    return this.closing;
+  }
+
+  async _close(timeout) {
+    await this._waitForRequests(timeout);
+    await Promise.allSettled(this.initPromises);
+
+    const errors = [];
+    for (const handlerInstance of [...this.handlers].reverse()) {
+      try {
+        await this._callHook(handlerInstance, "close");
+      } catch (error) {
+        this.logger?.error?.("register:close", [getHandlerName(handlerInstance), error]);
+        errors.push(error);
+      }
+    }
+    if (errors.length > 0) {
+      throw errors[0];
+    }
+  }
+}
+
+module.exports = HandlerLifecycle;
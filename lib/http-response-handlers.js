@@ -1,3 +1,60 @@
+const http = require("node:http");
+
+const ERROR_FORMATS = ["json", "problem", "negotiate"];
+const PROBLEM_CONTENT_TYPE = "application/problem+json";
+const errorSettings = {format: "json", typeBaseUri: null};
+
+// Chooses how the errors are sent: "json" sends {code, message}, "problem" sends RFC 9457 problem details
+// (application/problem+json), and "negotiate" sends problem details to the requests which prefer them in their Accept
+// header.  'typeBaseUri' is prepended to the code of the error to build the 'type' of the problem, which is
+// "about:blank" otherwise.
+function configureErrors(options = {}) {
+  const format = options.format ?? "json";
+  if (!ERROR_FORMATS.includes(format) ||
+    options.typeBaseUri !== undefined && options.typeBaseUri !== null && typeof options.typeBaseUri !== "string") {
+    throw new Error(`configureErrors() has invalid options.  The 'format' should be one of: ${ERROR_FORMATS.join(", ")}, ` +
+      "and the 'typeBaseUri' a string.");
+  }
+  errorSettings.format = format;
+  errorSettings.typeBaseUri = options.typeBaseUri ?? null;
+}
+
+function wantsProblemDetails(res) {
+  if (errorSettings.format === "negotiate") {
+    return res.req?.accepts?.(["application/json", PROBLEM_CONTENT_TYPE]) === PROBLEM_CONTENT_TYPE;
+  }
+  return errorSettings.format === "problem";
+}
+
+// Maps {code, message, errors} to the problem details, where 'code' and 'errors' are extension members
+function toProblemDetails(res, status, {code, message, errors}) {
+  const problem = {
+    type: errorSettings.typeBaseUri && code ? `${errorSettings.typeBaseUri}${encodeURIComponent(code)}` : "about:blank",
+    title: http.STATUS_CODES[status] ?? "Error",
+    status
+  };
+  if (message) {
+    problem.detail = message;
+  }
+  if (res.req?.originalUrl) {
+    problem.instance = res.req.originalUrl;
+  }
+  problem.code = code;
+  if (errors) {
+    problem.errors = errors;
+  }
+  return problem;
+}
+
+function sendError(res, status, body) {
+  if (wantsProblemDetails(res)) {
+    return res.status(status)
+      .set("Content-Type", PROBLEM_CONTENT_TYPE)
+      .json(toProblemDetails(res, status, body));
+  }
+  return res.status(status).json(body);
+}
+
 function createError(err) {
   let _error = err;
   if (!err || typeof err.message !== "string" || !err.message.indexOf) {
@@ -36,6 +93,10 @@ function getCode(err) {
   return Array.isArray(err) ? createError(err[0]).code : createError(err).code;
 }
 
+function getErrorDetails(err) {
+  return Array.isArray(err) ? undefined : err.errors;
+}
+
 function doFatalLog(logger, msg, err) {
   if (logger && logger.fatal) {
     logger.fatal(msg, err);
@@ -71,15 +132,20 @@ function validationFailed(res, logger) {
     const message = getErrMessages(err);
     const status = getStatus(err);
     const code = getCode(err);
+    const errors = getErrorDetails(err);
     doErrorLog(logger, "Validation Failed ON http-response-handlers", {
       status,
       code,
       message
     });
-    return res.status(status).json({
+    const body = {
       code,
       message
-    });
+    };
+    if (Array.isArray(errors) && errors.length > 0) {
+      body.errors = errors;
+    }
+    return sendError(res, status, body);
   };
 }
 
@@ -103,7 +169,7 @@ function error(res, logger) {
     } else if (_isMongoDbConflict(err)) {
       doErrorLog(logger, "MONGO CONFLICT ON http-response-handlers.error", err);
       const e = createError(err);
-      return res.status(409).json({code: e.message});
+      return sendError(res, 409, {code: e.message});
     }
 
     doFatalLog(logger, "ERROR ON http-response-handlers.error", err);
@@ -112,7 +178,7 @@ function error(res, logger) {
     const code = e.code || e.message;
     const message = e.message;
     const status = err && err.status && !isNaN(err.status) ? err.status : 500;
-    return res.status(status).json({code, message});
+    return sendError(res, status, {code, message});
   };
 }
 
@@ -129,4 +195,5 @@ function success(res, code) {
 exports.error = error;
 exports.success = success;
 exports.createError = createError;
+exports.configureErrors = configureErrors;
 exports._isMongoDbConflict = _isMongoDbConflict;
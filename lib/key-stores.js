@@ -0,0 +1,314 @@
+// Storage adapters used by ExpiringKeys and RateLimiter.  Every store implements the same promise-based interface:
+//
+//   get(key)                     resolves with the stored string, or null
+//   setIfAbsent(key, value, ttl) resolves with true when the key was created, false when it already existed
+//   set(key, value, ttl)         overwrites the key.  Only needed by ExpiringKeys in idempotency mode, to store the
+//                                responses that are replayed
+//   extend(key, ttl, [value])    resolves with true when the key existed and its ttl was reset
+//   delete(key, [value])         resolves with true when the key existed and was deleted
+//
+// RateLimiter also needs these atomic operations:
+//
+//   increment(key, ttl)                 resolves with {count, ttl}, the ttl is only set when the counter is created
+//   takeToken(key, capacity, interval)  takes a token from a bucket that gets a new token every 'interval' ms,
+//                                       resolves with {allowed, tokens}, where 'tokens' is what is left in the bucket
+//
+// When 'value' is given, extend() and delete() only act if the key still holds that exact value.  This lets the owner
+// of a key renew or remove it without touching a key that expired and was taken by another request in the meantime.
+// All ttl values are in milliseconds.
+
+const EXTEND_IF_VALUE_MATCHES = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("pexpire", KEYS[1], ARGV[2])
+end
+return 0`;
+
+const DELETE_IF_VALUE_MATCHES = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0`;
+
+const INCREMENT = `
+local count = redis.call("incr", KEYS[1])
+if count == 1 then
+  redis.call("pexpire", KEYS[1], ARGV[1])
+end
+return {count, redis.call("pttl", KEYS[1])}`;
+
+// Lua numbers are truncated to integers when returned to the client, so the remaining tokens are returned as a string
+const TAKE_TOKEN = `
+local capacity = tonumber(ARGV[1])
+local interval = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local bucket = redis.call("hmget", KEYS[1], "tokens", "updatedAt")
+local tokens = tonumber(bucket[1]) or capacity
+local updatedAt = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - updatedAt) / interval)
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+redis.call("hset", KEYS[1], "tokens", tostring(tokens), "updatedAt", tostring(now))
+redis.call("pexpire", KEYS[1], math.ceil(capacity * interval))
+return {allowed, tostring(tokens)}`;
+
+function toIncrementResult([count, ttl]) {
+  return {count: Number(count), ttl: Number(ttl)};
+}
+
+function toTakeTokenResult([allowed, tokens]) {
+  return {allowed: Number(allowed) === 1, tokens: Number(tokens)};
+}
+
+function matches(entry, value) {
+  return Boolean(entry) && (value === undefined || entry.value === value);
+}
+
+class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  _read(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  async get(key) {
+    const entry = this._read(key);
+    return entry ? entry.value : null;
+  }
+
+  async setIfAbsent(key, value, ttl) {
+    if (this._read(key)) {
+      return false;
+    }
+    this.entries.set(key, {value, expiresAt: Date.now() + ttl});
+    return true;
+  }
+
+  async set(key, value, ttl) {
+    this.entries.set(key, {value, expiresAt: Date.now() + ttl});
+  }
+
+  async extend(key, ttl, value) {
+    const entry = this._read(key);
+    if (!matches(entry, value)) {
+      return false;
+    }
+    entry.expiresAt = Date.now() + ttl;
+    return true;
+  }
+
+  async delete(key, value) {
+    if (!matches(this._read(key), value)) {
+      return false;
+    }
+    this.entries.delete(key);
+    return true;
+  }
+
+  async increment(key, ttl) {
+    const entry = this._read(key) || {value: 0, expiresAt: Date.now() + ttl};
+    entry.value += 1;
+    this.entries.set(key, entry);
+    return {count: entry.value, ttl: entry.expiresAt - Date.now()};
+  }
+
+  async takeToken(key, capacity, interval) {
+    const now = Date.now();
+    const bucket = this._read(key)?.value || {tokens: capacity, updatedAt: now};
+    let tokens = Math.min(capacity, bucket.tokens + Math.max(0, now - bucket.updatedAt) / interval);
+    const allowed = tokens >= 1;
+    if (allowed) {
+      tokens -= 1;
+    }
+    this.entries.set(key, {value: {tokens, updatedAt: now}, expiresAt: now + Math.ceil(capacity * interval)});
+    return {allowed, tokens};
+  }
+}
+
+// node-redis v4 and later
+class RedisStore {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async get(key) {
+    return this.client.get(key);
+  }
+
+  async setIfAbsent(key, value, ttl) {
+    const result = await this.client.set(key, value, {NX: true, PX: ttl});
+    return result === "OK";
+  }
+
+  async set(key, value, ttl) {
+    await this.client.set(key, value, {PX: ttl});
+  }
+
+  async extend(key, ttl, value) {
+    if (value !== undefined) {
+      const result = await this.client.eval(EXTEND_IF_VALUE_MATCHES, {keys: [key], arguments: [value, String(ttl)]});
+      return result === 1;
+    }
+    // node-redis v4 resolves with a boolean, v5 with 0 or 1
+    const result = await this.client.pExpire(key, ttl);
+    return result === true || result === 1;
+  }
+
+  async delete(key, value) {
+    if (value !== undefined) {
+      const result = await this.client.eval(DELETE_IF_VALUE_MATCHES, {keys: [key], arguments: [value]});
+      return result === 1;
+    }
+    const result = await this.client.del(key);
+    return result > 0;
+  }
+
+  async increment(key, ttl) {
+    return toIncrementResult(await this.client.eval(INCREMENT, {keys: [key], arguments: [String(ttl)]}));
+  }
+
+  async takeToken(key, capacity, interval) {
+    const args = [String(capacity), String(interval), String(Date.now())];
+    return toTakeTokenResult(await this.client.eval(TAKE_TOKEN, {keys: [key], arguments: args}));
+  }
+}
+
+class IoRedisStore {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async get(key) {
+    return this.client.get(key);
+  }
+
+  async setIfAbsent(key, value, ttl) {
+    const result = await this.client.set(key, value, "PX", ttl, "NX");
+    return result === "OK";
+  }
+
+  async set(key, value, ttl) {
+    await this.client.set(key, value, "PX", ttl);
+  }
+
+  async extend(key, ttl, value) {
+    const result = value === undefined
+      ? await this.client.pexpire(key, ttl)
+      : await this.client.eval(EXTEND_IF_VALUE_MATCHES, 1, key, value, ttl);
+    return result === 1;
+  }
+
+  async delete(key, value) {
+    const result = value === undefined
+      ? await this.client.del(key)
+      : await this.client.eval(DELETE_IF_VALUE_MATCHES, 1, key, value);
+    return result > 0;
+  }
+
+  async increment(key, ttl) {
+    return toIncrementResult(await this.client.eval(INCREMENT, 1, key, ttl));
+  }
+
+  async takeToken(key, capacity, interval) {
+    return toTakeTokenResult(await this.client.eval(TAKE_TOKEN, 1, key, capacity, interval, Date.now()));
+  }
+}
+
+// node-redis v3, which only has a callback API
+class LegacyRedisStore {
+  constructor(client) {
+    this.client = client;
+  }
+
+  _call(command, ...args) {
+    return new Promise((resolve, reject) => {
+      this.client[command](...args, (err, result) => {
+        return err ? reject(err) : resolve(result);
+      });
+    });
+  }
+
+  async get(key) {
+    const value = await this._call("get", key);
+    return value || null;
+  }
+
+  async setIfAbsent(key, value, ttl) {
+    const result = await this._call("set", key, value, "NX", "PX", ttl);
+    return Boolean(result);
+  }
+
+  async set(key, value, ttl) {
+    await this._call("set", key, value, "PX", ttl);
+  }
+
+  async extend(key, ttl, value) {
+    const result = value === undefined
+      ? await this._call("pexpire", key, ttl)
+      : await this._call("eval", EXTEND_IF_VALUE_MATCHES, 1, key, value, ttl);
+    return result === 1;
+  }
+
+  async delete(key, value) {
+    const result = value === undefined
+      ? await this._call("del", key)
+      : await this._call("eval", DELETE_IF_VALUE_MATCHES, 1, key, value);
+    return result > 0;
+  }
+
+  async increment(key, ttl) {
+    return toIncrementResult(await this._call("eval", INCREMENT, 1, key, ttl));
+  }
+
+  async takeToken(key, capacity, interval) {
+    return toTakeTokenResult(await this._call("eval", TAKE_TOKEN, 1, key, capacity, interval, Date.now()));
+  }
+}
+
+function isKeyStore(store) {
+  return Boolean(store) && ["get", "setIfAbsent", "extend", "delete"].every((method) => {
+    return typeof store[method] === "function";
+  });
+}
+
+// node-redis v3 clients, and other clients with the same callback style get() and set(), such as test doubles.  node-redis
+// v4 and ioredis clients have 'sendCommand()' instead of the snake case 'send_command()' of node-redis v3, and return
+// promises, so they are not.
+function isLegacyRedisClient(client) {
+  return Boolean(client) && typeof client.get === "function" && typeof client.set === "function" &&
+    (typeof client.send_command === "function" || typeof client.sendCommand !== "function");
+}
+
+// Callback style clients are wrapped in a LegacyRedisStore, since that is what ExpiringKeys used to receive.  'owner' is
+// the name of the class which uses the store, for the error message.
+function toKeyStore(db, owner = "The key store") {
+  if (isKeyStore(db)) {
+    return db;
+  }
+  if (isLegacyRedisClient(db)) {
+    return new LegacyRedisStore(db);
+  }
+  throw new Error(`${owner} has an invalid store.  The store should be one of the 'keyStores', an object with the ` +
+    "get(), setIfAbsent(), extend() and delete() functions (and set() to store the responses in idempotency mode), or " +
+    "a node-redis v3 client, or another client with its callback style commands.  node-redis v4 clients should be wrapped in a " +
+    "RedisStore, and ioredis clients in an IoRedisStore.");
+}
+
+module.exports = {
+  MemoryStore,
+  RedisStore,
+  IoRedisStore,
+  LegacyRedisStore,
+  isKeyStore,
+  isLegacyRedisClient,
+  toKeyStore
+};
@@ -1,6 +1,58 @@
 "use strict";
 
+const crypto = require("node:crypto");
 const querystring = require("querystring");
+const ValidationError = require("./validation-error");
+
+const NEXT = "next";
+const PREVIOUS = "previous";
+
+function sign(payload, secret) {
+  return crypto.createHmac("sha256", secret)
+    .update(payload)
+    .digest("base64url");
+}
+
+function requireSecret(secret) {
+  if (!secret) {
+    throw new Error("PaginatedResponseBuilder needs a 'secret' to sign and verify cursors.");
+  }
+}
+
+function getValue(item, path) {
+  return path.split(".").reduce((value, property) => {
+    return value === undefined || value === null ? undefined : value[property];
+  }, item);
+}
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function getPagingOptions(options = {}) {
+  return {
+    defaultPageSize: options.defaultPageSize || DEFAULT_PAGE_SIZE,
+    maxPageSize: options.maxPageSize || MAX_PAGE_SIZE
+  };
+}
+
+function parsePositiveInteger(value, defaultValue, {code, name, max}) {
+  if (value === undefined || value === null || value === "") {
+    return defaultValue;
+  }
+  const number = typeof value === "number" ? value : Number(/^\d+$/.test(value) ? value : NaN);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new ValidationError(code, `${name} should be a positive integer`);
+  }
+  if (max && number > max) {
+    throw new ValidationError(code, `${name} should not be greater than ${max}`);
+  }
+  return number;
+}
+
+function buildUrl(baseUrl, cursor, queryParams) {
+  const queryParamsString = querystring.stringify(queryParams);
+  return `${baseUrl}?cursor=${cursor}${queryParamsString ? `&${queryParamsString}` : ""}`;
+}
 
 class PaginatedResponseBuilder {
 
@@ -30,6 +82,107 @@ class PaginatedResponseBuilder {
 
     return {next, previous};
   }
+
+  // Reads 'page' and 'pageSize' from the query.  'skip' and 'limit' are ready to be used in a database query.
+  static parsePagingQuery(query, options) {
+    const {defaultPageSize, maxPageSize} = getPagingOptions(options);
+    const params = query || {};
+    const page = parsePositiveInteger(params.page, 1, {code: "INVALID_PAGE", name: "page"});
+    const pageSize = parsePositiveInteger(params.pageSize, defaultPageSize,
+      {code: "INVALID_PAGE_SIZE", name: "pageSize", max: maxPageSize});
+    return {page, pageSize, skip: (page - 1) * pageSize, limit: pageSize};
+  }
+
+  // The query parameters read by parsePagingQuery(), to be added to the 'parameters' of getSpec()
+  static getPagingParameters(options) {
+    const {defaultPageSize, maxPageSize} = getPagingOptions(options);
+    return [
+      {
+        in: "query",
+        name: "page",
+        description: "The page of results to return, starting at 1",
+        required: false,
+        type: "integer",
+        format: "int32",
+        minimum: 1,
+        default: 1
+      },
+      {
+        in: "query",
+        name: "pageSize",
+        description: `The number of results per page, up to ${maxPageSize}`,
+        required: false,
+        type: "integer",
+        format: "int32",
+        minimum: 1,
+        maximum: maxPageSize,
+        default: defaultPageSize
+      }
+    ];
+  }
+
+  // The cursor holds the values of the sort keys of an item, and the direction to read from it.  It is signed, so that
+  // clients can not forge a cursor to read from an arbitrary position.
+  static encodeCursor(item, sortKeys, secret, direction = NEXT) {
+    requireSecret(secret);
+    const values = {};
+    sortKeys.forEach((sortKey) => {
+      values[sortKey] = getValue(item, sortKey);
+    });
+    const payload = Buffer.from(JSON.stringify({values, direction})).toString("base64url");
+    return `${payload}.${sign(payload, secret)}`;
+  }
+
+  static decodeCursor(cursor, secret) {
+    requireSecret(secret);
+    const [payload, signature, ...rest] = typeof cursor === "string" ? cursor.split(".") : [];
+    const expectedSignature = payload ? sign(payload, secret) : "";
+    if (!signature || rest.length > 0 || signature.length !== expectedSignature.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expectedSignature))) {
+      throw new ValidationError("INVALID_CURSOR", "The cursor is invalid");
+    }
+    return JSON.parse(Buffer.from(payload, "base64url").toString());
+  }
+
+  // Returns {values, direction} from the "cursor" query parameter, or null when the first page is requested.
+  // When the direction is "previous", the items before the cursor should be read in reverse order, and sorted back.
+  static parseCursor(query, secret) {
+    if (!query || query.cursor === undefined || query.cursor === "") {
+      return null;
+    }
+    return PaginatedResponseBuilder.decodeCursor(query.cursor, secret);
+  }
+
+  // 'items' is the current page, in the order it will be returned.  'hasMore' tells whether more items were found in
+  // the direction of the request, which is usually known by reading one item more than the page size.
+  static getCursorUrls(baseUrl, query, items, options) {
+    const {sortKeys, secret, hasMore} = options;
+    const queryParams = Object.assign({}, query);
+    Reflect.deleteProperty(queryParams, "cursor");
+    const current = PaginatedResponseBuilder.parseCursor(query, secret);
+    const readingBackwards = current && current.direction === PREVIOUS;
+
+    let next = "";
+    let previous = "";
+
+    if (items && items.length > 0) {
+      if (readingBackwards || hasMore) {
+        const cursor = PaginatedResponseBuilder.encodeCursor(items[items.length - 1], sortKeys, secret, NEXT);
+        next = buildUrl(baseUrl, cursor, queryParams);
+      }
+      if ((current && !readingBackwards) || (readingBackwards && hasMore)) {
+        const cursor = PaginatedResponseBuilder.encodeCursor(items[0], sortKeys, secret, PREVIOUS);
+        previous = buildUrl(baseUrl, cursor, queryParams);
+      }
+    }
+
+    return {next, previous};
+  }
+
+  static buildCursorResponse(result, query, items, options) {
+    const nextAndPrevUrls = PaginatedResponseBuilder.getCursorUrls(options.baseUrl, query, items, options);
+    return Object.assign(result, nextAndPrevUrls);
+  }
 }
 
 module.exports = PaginatedResponseBuilder;
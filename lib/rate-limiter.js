@@ -0,0 +1,100 @@
+const {toKeyStore} = require("./key-stores");
+const {normalizeLookup, buildKeyMaterial, hash} = require("./request-lookups");
+const responseHandlers = require("./http-response-handlers");
+const ValidationError = require("./validation-error");
+
+const FIXED_WINDOW = "fixed-window";
+const TOKEN_BUCKET = "token-bucket";
+const ALGORITHMS = [FIXED_WINDOW, TOKEN_BUCKET];
+
+function getLimits(opts) {
+  const algorithm = opts.algorithm || FIXED_WINDOW;
+  if (!ALGORITHMS.includes(algorithm)) {
+    throw new Error(`RateLimiter has an invalid 'algorithm' "${algorithm}".  The algorithm should be one of: ${ALGORITHMS.join(", ")}.`);
+  }
+  if (!Number.isInteger(opts.limit) || opts.limit < 1) {
+    throw new Error("RateLimiter has an invalid 'limit'.  The 'limit' should be a positive integer.");
+  }
+  if (typeof opts.window !== "number" || opts.window <= 0) {
+    throw new Error("RateLimiter has an invalid 'window'.  The 'window' should be a number of milliseconds greater than 0.");
+  }
+  return {algorithm, limit: opts.limit, window: opts.window};
+}
+
+function toSeconds(ms) {
+  return Math.max(0, Math.ceil(ms / 1000));
+}
+
+class RateLimiter {
+  // 'db' is either a store from "./key-stores" or a node-redis v3 client
+  constructor(db, options = {}) {
+    this.store = toKeyStore(db, "RateLimiter");
+    this.logger = options.logger;
+  }
+
+  // A fixed window allows 'limit' requests per 'window'.  A token bucket holds up to 'limit' tokens and gets them back
+  // at a rate of 'limit' per 'window', which allows bursts while keeping the same average rate.
+  async _consume(key, limits) {
+    if (limits.algorithm === TOKEN_BUCKET) {
+      const interval = limits.window / limits.limit;
+      const {allowed, tokens} = await this.store.takeToken(key, limits.limit, interval);
+      return {
+        allowed,
+        remaining: Math.floor(tokens),
+        reset: (limits.limit - tokens) * interval,
+        retryAfter: (1 - tokens) * interval
+      };
+    }
+
+    const {count, ttl} = await this.store.increment(key, limits.window);
+    const reset = ttl > 0 ? ttl : limits.window;
+    return {
+      allowed: count <= limits.limit,
+      remaining: Math.max(0, limits.limit - count),
+      reset,
+      retryAfter: reset
+    };
+  }
+
+  middleWare(opts) {
+    const limits = getLimits(opts);
+    const lookups = [].concat(opts.lookup || []).map(normalizeLookup);
+    return (req, res, next) => {
+      const keyMaterial = buildKeyMaterial(lookups, req);
+      if (keyMaterial === null) {
+        return next();
+      }
+
+      const scope = opts.name || `${opts.path || req.path}:${(opts.method || req.method || "").toLowerCase()}`;
+      const key = `ratelimit:${scope}:${opts.hashKey ? hash(keyMaterial) : keyMaterial}`;
+      return this._limit(req, res, next, {key, limits, message: opts.message});
+    };
+  }
+
+  async _limit(req, res, next, {key, limits, message}) {
+    let result = null;
+    try {
+      result = await this._consume(key, limits);
+    } catch (err) {
+      // The limiter fails open: an unavailable store should not take the API down with it
+      if (this.logger && this.logger.error) {
+        this.logger.error("rate-limiter:error", [key, err]);
+      }
+      return next();
+    }
+
+    res.setHeader("RateLimit-Limit", String(limits.limit));
+    res.setHeader("RateLimit-Remaining", String(result.remaining));
+    res.setHeader("RateLimit-Reset", String(toSeconds(result.reset)));
+    res.setHeader("RateLimit-Policy", `${limits.limit};w=${toSeconds(limits.window)}`);
+    if (result.allowed) {
+      return next();
+    }
+
+    res.setHeader("Retry-After", String(toSeconds(result.retryAfter)));
+    const error = new ValidationError("TOO_MANY_REQUESTS", message || "Too many requests, please try again later", 429);
+    return responseHandlers.error(res, this.logger)(error);
+  }
+}
+
+module.exports = RateLimiter;
@@ -1,10 +1,64 @@
-const fs = require("node:fs");
+const path = require("node:path");
 const isPlainObject = require("lodash.isplainobject");
 const {validateRequest} = require("swagger-validation");
 const swaggerRequestHandler = require("./swagger-request-handler");
+const {withSecurity} = require("./swagger-request-handler");
 const responseHandlers = require("./http-response-handlers");
 const {createError} = responseHandlers;
 const ValidationError = require("./validation-error");
+const RateLimiter = require("./rate-limiter");
+const ExpiringKeys = require("./expiring-keys");
+const CollisionDetector = require("./registration-collisions");
+const HandlerLifecycle = require("./handler-lifecycle");
+const AutomaticRoutes = require("./automatic-routes");
+const {getCorsPolicy, getCorsMiddleware} = require("./cors");
+const {getHandlerHooks, runRequestHook, runBeforeResponseHook, getFinallyHooks} = require("./handler-hooks");
+const {createRouteEntry} = require("./route-manifest");
+const {hash} = require("./request-lookups");
+const {
+  getVersioning,
+  getFolderVersion,
+  getHandlerVersion,
+  applyVersionToSpec,
+  getDeprecationMiddleware,
+  getVersionSwagger
+} = require("./api-versioning");
+const {
+  MODULE_EXTENSIONS,
+  getDiscoveryOptions,
+  findResources,
+  findHandlerFiles,
+  importModule,
+  getHandlerExport
+} = require("./handler-discovery");
+
+const DEFAULT_IDEMPOTENCY_LOOKUP = "headers.idempotency-key";
+const RESPONSE_VALIDATION_MODES = ["off", "log", "strip", "fail"];
+const TIMEOUT_STATUSES = [503, 504];
+const SWAGGER_FUNCTIONS = {
+  GET: "addGet",
+  POST: "addPost",
+  DELETE: "addDelete",
+  PUT: "addPut",
+  PATCH: "addPatch",
+  HEAD: "addHead",
+  OPTIONS: "addOptions"
+};
+// The methods which can be served by the Express 'app' when the swagger document can't add them
+const UNDOCUMENTED_METHODS = ["HEAD", "OPTIONS"];
+
+// The security requirements of the authorization policy, which authenticate the user with a token by default
+function getAuthorizationSecurity(handlerConfiguration, handlerInstance) {
+  const security = handlerConfiguration?.security ?? {JwtAuth: []};
+  const requirements = Array.isArray(security) ? security : [security];
+  if (requirements.length === 0 || !requirements.every((requirement) => {
+    return isPlainObject(requirement) && Object.values(requirement).every(Array.isArray);
+  })) {
+    throw new Error(`${handlerInstance.constructor.name} has invalid 'security'.  The 'security' returned by the ` +
+      "'configuration()' function should map the name of each security scheme to an array of scopes, or be an array of those objects.");
+  }
+  return security;
+}
 
 function getAuthorizationMiddleware(authenticator, handlerConfiguration, handlerInstance) {
   const authorizationPolicy = handlerConfiguration?.authorization;
@@ -19,10 +73,170 @@ function getAuthorizationMiddleware(authenticator, handlerConfiguration, handler
       `btrz-auth-api-key is out of date.  Upgrade btrz-auth-api-key to version 5.6.0 or greater.`);
   }
 
-  return authenticator.getMiddlewareForAuthPolicy(authorizationPolicy);
+  return withSecurity(authenticator.getMiddlewareForAuthPolicy(authorizationPolicy),
+    getAuthorizationSecurity(handlerConfiguration, handlerInstance));
 }
 
-function validateIncomingRequestAgainstOpenApiSpec(handlerInstance, handlerConfiguration, openApiSpec, models, logger, req) {
+function requireKeyStore(dependencies, handlerInstance, configurationProperty) {
+  if (!dependencies.keyStore) {
+    throw new Error(`${handlerInstance.constructor.name} declares '${configurationProperty}' but no 'keyStore' was provided.  ` +
+      "Pass a store from 'keyStores' as the 'keyStore' dependency of register().");
+  }
+}
+
+// The limits are counted per route, ie. "/trips/{tripId}", rather than per URL, and the automatic HEAD route of a GET
+// handler shares the limits of the GET, since it runs the same middleware.
+function getRateLimitMiddleware(dependencies, handlerConfiguration, handlerInstance, openApiSpec) {
+  const rateLimit = handlerConfiguration?.rateLimit;
+  if (rateLimit === undefined) {
+    return [];
+  }
+
+  const limits = Array.isArray(rateLimit) ? rateLimit : [rateLimit];
+  if (!limits.every((limit) => {
+    return isPlainObject(limit);
+  })) {
+    throw new Error(`${handlerInstance.constructor.name} has invalid 'rateLimit'.  ` +
+      "The 'rateLimit' returned by the 'configuration()' function should be an object, or an array of objects.");
+  }
+  requireKeyStore(dependencies, handlerInstance, "rateLimit");
+
+  const rateLimiter = new RateLimiter(dependencies.keyStore, {logger: dependencies.logger});
+  return limits.map((limit) => {
+    return rateLimiter.middleWare({path: openApiSpec.path, method: openApiSpec.method, ...limit});
+  });
+}
+
+// The 409, 422 and "fail-closed" 503 responses of ExpiringKeys are sent like the other errors of the handlers, unless
+// the 'idempotency' block has its own functions
+function getIdempotencyResponses(options, logger) {
+  function respondWith(code, message, status) {
+    return (req, res) => {
+      return responseHandlers.error(res, logger)(new ValidationError(code, message, status));
+    };
+  }
+  const storageErrorMessage = options.storageErrorMessage ?? "The request can not be processed right now, please try again later";
+  const respondUnavailable = respondWith("SERVICE_UNAVAILABLE", storageErrorMessage, 503);
+  const onStorageError = options.onStorageError === "fail-closed"
+    ? (_err, req, res) => {
+      return respondUnavailable(req, res);
+    }
+    : options.onStorageError;
+  return {
+    onKeyFound: options.onKeyFound ??
+      respondWith("REQUEST_IN_PROGRESS", options.message ?? "A request with the same idempotency key is still being processed", 409),
+    onFingerprintMismatch: options.onFingerprintMismatch ??
+      respondWith("IDEMPOTENCY_KEY_REUSED", options.mismatchMessage ?? "The idempotency key was already used for a different request", 422),
+    onStorageError
+  };
+}
+
+// The caller of a request is its API key and the user who signed in, if any
+function getIdempotencyCaller(req) {
+  return `${req.headers?.["x-api-key"] ?? ""}:${req.user?._id ?? ""}`;
+}
+
+// The 'idempotency' block takes the options of ExpiringKeys.middleWare().  Requests are identified by their
+// "Idempotency-Key" header unless a 'lookup' is given, and 'ttl' and 'fingerprint' configure the stored responses.
+// The key also includes the 'caller' of the request, so that a caller never gets the stored response of another one
+// by sending the same key.  'caller: false' leaves the caller out of the key.
+function getIdempotencyMiddleware(dependencies, handlerConfiguration, handlerInstance) {
+  const idempotency = handlerConfiguration?.idempotency;
+  if (idempotency === undefined || idempotency === false) {
+    return [];
+  }
+  if (idempotency !== true && !isPlainObject(idempotency) ||
+    idempotency.caller !== undefined && idempotency.caller !== false && typeof idempotency.caller !== "function") {
+    throw new Error(`${handlerInstance.constructor.name} has invalid 'idempotency'.  ` +
+      "The 'idempotency' returned by the 'configuration()' function should be an object, and its 'caller' a function or false.");
+  }
+  requireKeyStore(dependencies, handlerInstance, "idempotency");
+
+  const {ttl, fingerprint, caller = getIdempotencyCaller, lookup = DEFAULT_IDEMPOTENCY_LOOKUP, ...options} =
+    idempotency === true ? {} : idempotency;
+  const callerLookup = caller ? [{
+    name: "caller",
+    path: (req) => {
+      return hash(String(caller(req) ?? ""));
+    },
+    required: false
+  }] : [];
+  const expiringKeys = new ExpiringKeys(dependencies.keyStore, {logger: dependencies.logger});
+  return [expiringKeys.middleWare({
+    ...options,
+    ...getIdempotencyResponses(options, dependencies.logger),
+    lookup: [...callerLookup, ...[].concat(lookup)],
+    idempotency: {ttl, fingerprint}
+  })];
+}
+
+// The 'timeout' is a number of milliseconds, or {ms, status} to respond with a 503 instead of the default 504
+function getRequestTimeout(handlerConfiguration, handlerInstance) {
+  const timeout = handlerConfiguration?.timeout;
+  if (timeout === undefined) {
+    return null;
+  }
+  const {ms, status = 504} = isPlainObject(timeout) ? timeout : {ms: timeout};
+  if (!Number.isFinite(ms) || ms <= 0 || !TIMEOUT_STATUSES.includes(status)) {
+    throw new Error(`${handlerInstance.constructor.name} has invalid 'timeout'.  ` +
+      "The 'timeout' returned by the 'configuration()' function should be a number of milliseconds, or an object with " +
+      `the 'ms' and an optional 'status', which should be one of: ${TIMEOUT_STATUSES.join(", ")}.`);
+  }
+  return {ms, status};
+}
+
+// A ValidationError, since a timeout is an expected outcome which responseHandlers.error() should not log as fatal
+function createTimeoutError(timeout) {
+  return new ValidationError("REQUEST_TIMEOUT", `The request took longer than ${timeout.ms}ms`, timeout.status);
+}
+
+// Calls the handler with an AbortSignal, which is aborted when the 'timeout' expires.  The timeout error is thrown
+// right away, and whatever the handler returns later is discarded.  If the handler already sent the response itself,
+// the signal is aborted but nothing else is sent.
+function callHandlerWithTimeout(handlerInstance, req, res, timeout) {
+  if (!timeout) {
+    return handlerInstance.handler(req, res);
+  }
+  const controller = new AbortController();
+  let timer = null;
+  const timedOut = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = createTimeoutError(timeout);
+      controller.abort(error);
+      if (!res.headersSent) {
+        reject(error);
+      }
+    }, timeout.ms);
+  });
+
+  const handled = Promise.resolve()
+    .then(() => {
+      return handlerInstance.handler(req, res, {signal: controller.signal});
+    });
+  // A late failure, ie. because the handler writes to the response after the timeout, is not reported
+  handled.catch(() => {
+    return undefined;
+  });
+  return Promise.race([handled, timedOut]).finally(() => {
+    clearTimeout(timer);
+  });
+}
+
+// Documents a response that is added by the library (ie. by rate limiting), unless the handler already documents it
+function addResponseToSpec(openApiSpec, status, description) {
+  if (openApiSpec.responses?.[status]) {
+    return openApiSpec;
+  }
+  return {
+    ...openApiSpec,
+    responses: {
+      ...openApiSpec.responses,
+      [status]: {description}
+    }
+  };
+}
+
+function getValidationSettings(handlerConfiguration) {
   const defaultValidationSettings = {
     replaceValues: true,
     allPropertiesAreNullableByDefault: false,
@@ -51,15 +265,42 @@ function validateIncomingRequestAgainstOpenApiSpec(handlerInstance, handlerConfi
     objectsCanHaveAnyAdditionalPropertiesByDefault: true,
   };
   const validationSettingsOverrides = handlerConfiguration?.validationSettings;
-  const validationSettings = {
+  return {
     ...defaultValidationSettings,
     ...validationSettingsOverrides
   };
+}
+
+// The constraints of the schema, recognized in the messages of "swagger-validation", with their reasons.  swagger-validation
+// does not validate other constraints, such as "minLength" or "format".
+const VALIDATION_CONSTRAINTS = [
+  {pattern: /is required/, constraint: "required", reason: "REQUIRED"},
+  {pattern: /is not a type of/, constraint: "type", reason: "INVALID_TYPE"},
+  {pattern: /is below the minimum value/, constraint: "minimum", reason: "BELOW_MINIMUM"},
+  {pattern: /is above the maximum value/, constraint: "maximum", reason: "ABOVE_MAXIMUM"},
+  {pattern: /is not a valid entry/, constraint: "enum", reason: "NOT_ALLOWED"},
+  {pattern: /is not valid based on the pattern/, constraint: "pattern", reason: "PATTERN_MISMATCH"},
+  {pattern: /is not unique/, constraint: "uniqueItems", reason: "NOT_UNIQUE"}
+];
+
+// Describes one of the errors reported by "swagger-validation", in the form documented by 'swaggerSchemas.errorResponse'.
+// swagger-validation reports each error as {error, path, failedValue}, as used by 'validateSwaggerSchema()', and only
+// describes the constraint in the message of the error.
+function toValidationErrorDetail(validationError) {
+  const {message} = validationError.error;
+  const {constraint, reason} = VALIDATION_CONSTRAINTS.find(({pattern}) => {
+    return pattern.test(message);
+  }) ?? {constraint: undefined, reason: "INVALID_VALUE"};
+  return {path: validationError.path, value: validationError.failedValue, constraint, reason, message};
+}
 
+function validateIncomingRequestAgainstOpenApiSpec(handlerInstance, handlerConfiguration, openApiSpec, models, logger, req) {
+  const validationSettings = getValidationSettings(handlerConfiguration);
   const validationResult = validateRequest(openApiSpec, req, models, validationSettings);
 
   if (validationResult.errors.length > 0) {
-    throw new ValidationError("WRONG_DATA", validationResult.errors[0].error.message);
+    throw new ValidationError("WRONG_DATA", validationResult.errors[0].error.message, 400,
+      validationResult.errors.map(toValidationErrorDetail));
   }
 
   const validationLogs = validationResult.logs.toLiteral();
@@ -78,40 +319,104 @@ function validateIncomingRequestAgainstOpenApiSpec(handlerInstance, handlerConfi
   }
 }
 
-function addHandlerToBtrzSwaggerExpress(httpMethod, btrzSwaggerExpress, handlerChain) {
-  switch(httpMethod) {
-    case "GET":
-      btrzSwaggerExpress.addGet(handlerChain);
-      break;
-    case "POST":
-      btrzSwaggerExpress.addPost(handlerChain);
-      break;
-    case "DELETE":
-      btrzSwaggerExpress.addDelete(handlerChain);
-      break;
-    case "PUT":
-      btrzSwaggerExpress.addPut(handlerChain);
-      break;
-    case "PATCH":
-      btrzSwaggerExpress.addPatch(handlerChain);
-      break;
-    default:
-      throw new Error(`Handler spec has unrecognized HTTP method "${httpMethod}"`);
+// 'responseValidation' is one of the modes below, or an object with a mode per environment (NODE_ENV), and a 'default'
+// mode for the other environments.  The handler configuration overrides the 'responseValidation' given to register().
+function getResponseValidationMode(dependencies, handlerConfiguration, handlerInstance) {
+  const responseValidation = handlerConfiguration?.responseValidation ?? dependencies.responseValidation ?? "off";
+  const mode = isPlainObject(responseValidation)
+    ? responseValidation[process.env.NODE_ENV] ?? responseValidation.default ?? "off"
+    : responseValidation;
+
+  if (!RESPONSE_VALIDATION_MODES.includes(mode)) {
+    throw new Error(`${handlerInstance.constructor.name} has invalid 'responseValidation'.  ` +
+      `The 'responseValidation' should be one of: ${RESPONSE_VALIDATION_MODES.join(", ")}, or an object with a mode for each environment.`);
   }
+  return mode;
 }
 
-function wrapHandlerWithStandardResponseProcessing(openApiSpec, models, logger, handlerConfiguration, handlerInstance) {
+// Checks the JSON that will be sent to the client against the schema of the response with the same status in the spec.
+// "log" only reports mismatches, "strip" removes the properties that are not in the schema and reports the other
+// mismatches, and "fail" responds with an error instead of the invalid response.  Returns the body to send.
+function validateOutgoingResponseAgainstOpenApiSpec(handlerInstance, responseValidation, status, body) {
+  const {mode, handlerConfiguration, openApiSpec, models, logger} = responseValidation;
+  const schema = (openApiSpec.responses?.[status] ?? openApiSpec.responses?.default)?.schema;
+  if (mode === "off" || !schema || body === undefined) {
+    return body;
+  }
+
+  const response = {body: JSON.parse(JSON.stringify(body)), query: {}, params: {}, headers: {}};
+  const responseSpec = {parameters: [{in: "body", name: "responseBody", schema, required: true}]};
+  const validationResult = validateRequest(responseSpec, response, models, getValidationSettings(handlerConfiguration));
+
+  const mismatches = validationResult.errors.map((validationError) => {
+    return validationError.error.message;
+  });
+  if (mode !== "strip" && validationResult.logs.toLiteral().deletedProperties.length > 0) {
+    mismatches.push(`properties not described in the schema: ${validationResult.logs.formatDeletedProperties()}`);
+  }
+  if (mismatches.length === 0) {
+    return mode === "strip" ? response.body : body;
+  }
+
+  const message = `The response of ${handlerInstance.constructor.name} does not match the schema of the ${status} response ` +
+    `in the handler's spec: ${mismatches.join(", ")}`;
+  logger.error(message);
+  if (mode === "fail") {
+    // The mismatches describe the handler and its schemas, so they are only logged
+    throw new ValidationError("INVALID_RESPONSE", "The server could not build a valid response", 500);
+  }
+  return mode === "strip" ? response.body : body;
+}
+
+// ie. "/trips/{tripId}" gives "/trips/:tripId"
+function toExpressPath(swaggerPath) {
+  return swaggerPath.replace(/\{([^}]+)\}/g, ":$1");
+}
+
+// The versions of btrz-swagger-express which have no 'addHead()' or 'addOptions()' can't add HEAD and OPTIONS handlers.
+// These handlers are then added to the Express 'app' given to register(), if any, and are left out of the swagger document.
+function addHandlerToBtrzSwaggerExpress(httpMethod, btrzSwaggerExpress, handlerChain, app) {
+  if (!Object.hasOwn(SWAGGER_FUNCTIONS, httpMethod)) {
+    throw new Error(`Handler spec has unrecognized HTTP method "${httpMethod}"`);
+  }
+  const functionName = SWAGGER_FUNCTIONS[httpMethod];
+  if (typeof btrzSwaggerExpress[functionName] === "function") {
+    btrzSwaggerExpress[functionName](handlerChain);
+  } else if (UNDOCUMENTED_METHODS.includes(httpMethod) && typeof app?.[httpMethod.toLowerCase()] === "function") {
+    app[httpMethod.toLowerCase()](toExpressPath(handlerChain.spec.path), handlerChain.action);
+  } else {
+    throw new Error(`Handlers with the HTTP method "${httpMethod}" cannot be registered because the installed version of ` +
+      `btrz-swagger-express has no '${functionName}()' function.  Upgrade btrz-swagger-express` +
+      `${UNDOCUMENTED_METHODS.includes(httpMethod) ? ", or give register() the Express 'app' to serve them" : ""}.`);
+  }
+}
+
+function wrapHandlerWithStandardResponseProcessing(openApiSpec, models, logger, handlerConfiguration, handlerInstance,
+  {responseValidationMode = "off", timeout = null, hooks = {}} = {}) {
+  const responseValidation = {mode: responseValidationMode, handlerConfiguration, openApiSpec, models, logger};
   return {
     getSpec() {
-      return handlerInstance.getSpec?.() ?? handlerInstance.constructor.getSpec?.(); // Support static or instance methods
+      return openApiSpec;
     },
 
     async handler(req, res) {
       try {
+        // The hooks short-circuit the request when they send the response themselves
+        if (await runRequestHook(hooks.beforeValidation, req, res)) {
+          return res;
+        }
         validateIncomingRequestAgainstOpenApiSpec(handlerInstance, handlerConfiguration, openApiSpec, models, logger, req);
+        if (await runRequestHook(hooks.afterValidation, req, res)) {
+          return res;
+        }
 
-        const response = await handlerInstance.handler(req, res);
-        return res.status(res.statusCode).json(response);
+        const response = await callHandlerWithTimeout(handlerInstance, req, res, timeout);
+        const body = await runBeforeResponseHook(hooks.beforeResponse, response, req, res);
+        if (res.headersSent) {
+          return res;
+        }
+        const validatedResponse = validateOutgoingResponseAgainstOpenApiSpec(handlerInstance, responseValidation, res.statusCode, body);
+        return res.status(res.statusCode).json(validatedResponse);
       } catch (error) {
         let mappedError = error;
 
@@ -131,11 +436,10 @@ function wrapHandlerWithStandardResponseProcessing(openApiSpec, models, logger,
 
 function delegateRegistrationToHandlerClass(HandlerClass, dependencies) {
   HandlerClass.register(dependencies);
+  return undefined;
 }
 
-function registerHandlerAutomatically(HandlerClass, models, dependencies) {
-  const {swagger: btrzSwaggerExpress, authenticator, logger} = dependencies;
-
+function createHandlerInstance(HandlerClass, dependencies) {
   const handlerInstance = new HandlerClass(dependencies);
 
   if (typeof handlerInstance.handler !== "function" && typeof handlerInstance.constructor.handler !== "function") {
@@ -147,19 +451,32 @@ function registerHandlerAutomatically(HandlerClass, models, dependencies) {
     throw new Error(`${handlerInstance.constructor.name} has no OpenAPI specification.  The handler class must ` +
       `contain a 'getSpec()' function, which returns the OpenAPI specification for the endpoint.`);
   }
-  const openApiSpec = handlerInstance.getSpec?.() ?? HandlerClass.getSpec(); // Support static or instance methods
 
   if (typeof handlerInstance.configuration !== "function" && typeof handlerInstance.constructor.configuration !== "function") {
     throw new Error(`${handlerInstance.constructor.name} has no configuration.  The handler class must ` +
       `contain a 'configuration()' function, which returns a configuration object.`);
   }
-  const handlerConfiguration = handlerInstance.configuration?.() ?? handlerInstance.constructor.configuration();
 
-  if (handlerConfiguration?.validationSettings !== undefined && !isPlainObject(handlerConfiguration?.validationSettings)) {
-    throw new Error(`${handlerInstance.constructor.name} has invalid 'validationSettings'.  ` +
-      `The 'validationSettings' returned by the 'configuration()' function should be an object.`);
+  return handlerInstance;
+}
+
+function getHandlerSpec(handlerInstance) {
+  return handlerInstance.getSpec?.() ?? handlerInstance.constructor.getSpec(); // Support static or instance methods
+}
+
+function getHandlerConfiguration(handlerInstance) {
+  return handlerInstance.configuration?.() ?? handlerInstance.constructor.configuration();
+}
+
+function requireSynchronousResult(handlerInstance, functionName, result) {
+  if (typeof result?.then === "function") {
+    throw new Error(`${handlerInstance.constructor.name} has an asynchronous '${functionName}()' function.  ` +
+      "Handlers which build their spec or configuration asynchronously must be registered with 'registerModulesAsync()'.");
   }
+  return result;
+}
 
+function getCustomMiddleware(handlerConfiguration, handlerInstance) {
   if (handlerConfiguration?.middleware !== undefined) {
     if (!Array.isArray(handlerConfiguration.middleware)) {
       throw new Error(`${handlerInstance.constructor.name} has invalid 'middleware'.  ` +
@@ -169,72 +486,358 @@ function registerHandlerAutomatically(HandlerClass, models, dependencies) {
         `At least one middleware is not a function.  Each item in the 'middleware' array should be an Express middleware function.`);
     }
   }
-  const middleware = handlerConfiguration?.middleware ?? [];
+  return handlerConfiguration?.middleware ?? [];
+}
+
+// Documents the responses sent by the rate limiting, idempotency and timeout of the handler
+function addLibraryResponsesToSpec(openApiSpec, {rateLimitMiddleware, idempotencyMiddleware, timeout}) {
+  let spec = openApiSpec;
+  if (rateLimitMiddleware.length > 0) {
+    spec = addResponseToSpec(spec, 429, "Too many requests");
+  }
+  if (idempotencyMiddleware.length > 0) {
+    spec = addResponseToSpec(spec, 409, "A request with the same idempotency key is still being processed");
+    spec = addResponseToSpec(spec, 422, "The idempotency key was already used for a different request");
+  }
+  if (timeout) {
+    spec = addResponseToSpec(spec, timeout.status, "The request took longer than the handler's timeout");
+  }
+  return spec;
+}
+
+// 'folderVersion' is the version of the folder which contains the handler, when versioning is enabled.  'lifecycle'
+// runs the handler's 'init()' and 'close()', and 'automaticRoutes' collects the routes which get a HEAD or OPTIONS
+// route, when the handler is registered by register().
+function addHandlerToServer(handlerInstance, context, models, dependencies) {
+  const {openApiSpec, handlerConfiguration, folderVersion, lifecycle, automaticRoutes, checkRoute} = context;
+  const {authenticator, logger} = dependencies;
+  let spec = openApiSpec;
+
+  if (handlerConfiguration?.validationSettings !== undefined && !isPlainObject(handlerConfiguration?.validationSettings)) {
+    throw new Error(`${handlerInstance.constructor.name} has invalid 'validationSettings'.  ` +
+      "The 'validationSettings' returned by the 'configuration()' function should be an object.");
+  }
 
+  const middleware = getCustomMiddleware(handlerConfiguration, handlerInstance);
+  const responseValidationMode = getResponseValidationMode(dependencies, handlerConfiguration, handlerInstance);
+
+  const version = getHandlerVersion(dependencies, handlerConfiguration, folderVersion, handlerInstance);
+  const versionMiddleware = version === undefined ? [] : getDeprecationMiddleware(dependencies, version);
+  if (version !== undefined) {
+    spec = applyVersionToSpec(dependencies, version, spec);
+  }
+
+  const corsPolicy = getCorsPolicy(handlerConfiguration, handlerInstance);
   const authorizationMiddleware = getAuthorizationMiddleware(authenticator, handlerConfiguration, handlerInstance);
+  const rateLimitMiddleware = getRateLimitMiddleware(dependencies, handlerConfiguration, handlerInstance, spec);
+  const idempotencyMiddleware = getIdempotencyMiddleware(dependencies, handlerConfiguration, handlerInstance);
+  const timeout = getRequestTimeout(handlerConfiguration, handlerInstance);
+  const hooks = getHandlerHooks(handlerConfiguration, handlerInstance);
+  spec = addLibraryResponsesToSpec(spec, {rateLimitMiddleware, idempotencyMiddleware, timeout});
+  // The collisions are reported before the handler is added, so a handler which fails the check is never served
+  checkRoute?.(spec, version);
+
+  const lifecycleMiddleware = lifecycle ? [lifecycle.addHandler(handlerInstance)] : [];
   const handlerChain = swaggerRequestHandler(
+    {logger, finally: getFinallyHooks(hooks)},
+    ...lifecycleMiddleware,
+    ...getCorsMiddleware(corsPolicy),
+    ...versionMiddleware,
     authorizationMiddleware,
+    ...rateLimitMiddleware,
+    ...idempotencyMiddleware,
     ...middleware,
-    wrapHandlerWithStandardResponseProcessing(openApiSpec, models, logger, handlerConfiguration, handlerInstance)
+    wrapHandlerWithStandardResponseProcessing(spec, models, logger, handlerConfiguration, handlerInstance,
+      {responseValidationMode, timeout, hooks})
   );
-  addHandlerToBtrzSwaggerExpress(openApiSpec.method, btrzSwaggerExpress, handlerChain);
+  const swaggerDocument = getVersionSwagger(dependencies, version);
+  addHandlerToBtrzSwaggerExpress(spec.method, swaggerDocument, handlerChain, dependencies.app);
+  automaticRoutes?.addRoute(swaggerDocument, handlerChain, corsPolicy);
+  return {spec, handlerConfiguration, version};
+}
+
+function registerHandlerAutomatically(HandlerClass, models, dependencies, context) {
+  const handlerInstance = createHandlerInstance(HandlerClass, dependencies);
+  const openApiSpec = requireSynchronousResult(handlerInstance, "getSpec", getHandlerSpec(handlerInstance));
+  const handlerConfiguration = requireSynchronousResult(handlerInstance, "configuration", getHandlerConfiguration(handlerInstance));
+  return addHandlerToServer(handlerInstance, {openApiSpec, handlerConfiguration, ...context}, models, dependencies);
 }
 
-function attachHandlerToExpressServer(HandlerClass, models, dependencies) {
+async function registerHandlerAutomaticallyAsync(HandlerClass, models, dependencies, context) {
+  const handlerInstance = createHandlerInstance(HandlerClass, dependencies);
+  const openApiSpec = await getHandlerSpec(handlerInstance);
+  const handlerConfiguration = await getHandlerConfiguration(handlerInstance);
+  return addHandlerToServer(handlerInstance, {openApiSpec, handlerConfiguration, ...context}, models, dependencies);
+}
+
+// Returns the spec, configuration and version of the handler, or undefined when the handler class registers itself.
+// 'context' is given by register(): {folderVersion, lifecycle, automaticRoutes, checkRoute}
+function attachHandlerToExpressServer(HandlerClass, models, dependencies, context = {}) {
   if (typeof HandlerClass.register === "function") {
-    delegateRegistrationToHandlerClass(HandlerClass, dependencies);
-  } else {
-    registerHandlerAutomatically(HandlerClass, models, dependencies);
+    return delegateRegistrationToHandlerClass(HandlerClass, dependencies);
   }
+  return registerHandlerAutomatically(HandlerClass, models, dependencies, context);
 }
 
-function register(basePath, dependencies) {
-  const {logger, swagger: btrzSwaggerExpress} = dependencies;
-  const resources = fs.readdirSync(basePath);
+// Same as attachHandlerToExpressServer(), but 'getSpec()', 'configuration()' and a static 'register()' can return promises
+async function attachHandlerToExpressServerAsync(HandlerClass, models, dependencies, context = {}) {
+  if (typeof HandlerClass.register === "function") {
+    await HandlerClass.register(dependencies);
+    return undefined;
+  }
+  return registerHandlerAutomaticallyAsync(HandlerClass, models, dependencies, context);
+}
 
-  let _models = dependencies.models;
-  if (!_models || typeof _models.models !== "object") {
-    _models = {
+function getModels(dependencies) {
+  const models = dependencies.models;
+  if (!models || typeof models.models !== "object") {
+    return {
       models: {}
     };
   }
+  return models;
+}
+
+// The scope of each version for the CollisionDetector, which is the swagger document of the version: "" for the
+// versions added to the main document, or else the first version which uses the same document
+function getDocumentScopes(dependencies, versioning) {
+  const scopes = {};
+  const documents = new Map([[dependencies.swagger, ""]]);
+  Object.keys(versioning?.versions ?? {}).forEach((version) => {
+    const swagger = getVersionSwagger(dependencies, version);
+    if (!documents.has(swagger)) {
+      documents.set(swagger, version);
+    }
+    scopes[version] = documents.get(swagger);
+  });
+  return scopes;
+}
+
+// The models which are not versioned are added to every swagger document, the models of a version to the document of
+// that version
+function getModelScopes(registration, version, source) {
+  if (version === undefined) {
+    return [...new Set(["", ...Object.values(registration.documentScopes)])];
+  }
+  if (!Object.hasOwn(registration.documentScopes, version)) {
+    throw new Error(`${source} belongs to version '${version}', which is not in the 'versioning.versions' given to register().`);
+  }
+  return [registration.documentScopes[version]];
+}
 
-  if (Array.isArray(resources)) {
-    resources.forEach((r) => {
-      const handlersPath = `${basePath}/${r}/handlers`;
-      const modelsPath = `${basePath}/${r}/models`;
+function addModelsToCollisions(registration, models, source, version) {
+  getModelScopes(registration, version, source).forEach((scope) => {
+    registration.collisions.addModels(models, source, scope);
+  });
+}
+
+// Holds what is collected while registering the handlers under a base path
+function createRegistration(basePath, dependencies) {
+  const versioning = getVersioning(dependencies);
+
+  if (dependencies.onHandlerError !== undefined && typeof dependencies.onHandlerError !== "function") {
+    throw new Error("register() has invalid 'onHandlerError'.  The 'onHandlerError' should be a function.");
+  }
+
+  const registration = {
+    basePath,
+    versioning,
+    collisions: new CollisionDetector({onCollision: dependencies.onCollision, logger: dependencies.logger}),
+    documentScopes: getDocumentScopes(dependencies, versioning),
+    models: getModels(dependencies),
+    versionModels: {},
+    lifecycle: new HandlerLifecycle({logger: dependencies.logger, hooks: dependencies.lifecycleHooks}),
+    automaticRoutes: new AutomaticRoutes({logger: dependencies.logger, app: dependencies.app}),
+    app: dependencies.app,
+    onHandlerError: dependencies.onHandlerError,
+    routes: []
+  };
 
-      let resourceModels = {};
+  addModelsToCollisions(registration, registration.models.models, "the 'models' dependency");
+  Object.keys(versioning?.versions ?? {}).forEach((version) => {
+    registration.versionModels[version] = {...versioning.versions[version]?.models?.models};
+    addModelsToCollisions(registration, registration.versionModels[version], `the models of version '${version}'`, version);
+  });
+  return registration;
+}
+
+// What register() returns: the manifest of the routes, a promise which resolves once the 'init()' of every handler has
+// finished, and 'close()' to drain the requests in flight and close the handlers
+function createRegistrationHandle(registration) {
+  const {lifecycle} = registration;
+  const ready = lifecycle.ready();
+  // The failed 'init()' is logged, so the process doesn't crash if 'ready' is not awaited
+  ready.catch(() => {
+    return undefined;
+  });
+  return {
+    routes: registration.routes,
+    ready,
+    close(options) {
+      return lifecycle.close(options);
+    }
+  };
+}
+
+function toRelativePath(registration, filePath) {
+  return path.relative(registration.basePath, filePath).split(path.sep)
+    .join("/");
+}
+
+function getDocumentScope(registration, version) {
+  return version === undefined ? "" : registration.documentScopes[version];
+}
 
-      if (fs.existsSync(modelsPath)) {
+function getHandlerContext(registration, handlerPath) {
+  return {
+    folderVersion: getFolderVersion(registration.versioning, toRelativePath(registration, handlerPath)),
+    lifecycle: registration.lifecycle,
+    automaticRoutes: registration.automaticRoutes,
+    checkRoute(spec, version) {
+      registration.collisions.addRoute(spec, handlerPath, getDocumentScope(registration, version));
+    }
+  };
+}
+
+function addResourceModels(registration, resourceModels, modelsPath) {
+  const version = getFolderVersion(registration.versioning, toRelativePath(registration, modelsPath));
+  addModelsToCollisions(registration, resourceModels, modelsPath, version);
+  if (version === undefined) {
+    registration.models.models = Object.assign(registration.models.models, resourceModels);
+  } else {
+    Object.assign(registration.versionModels[version], resourceModels);
+  }
+}
+
+// A handler which can't be loaded stops the registration, unless 'onHandlerError(err, handlerPath)' is given, in which
+// case the handler is skipped
+function handleHandlerError(registration, logger, handlerPath, err) {
+  logger.error("register:error", [handlerPath, err]);
+  if (!registration.onHandlerError) {
+    throw createError(err);
+  }
+  registration.onHandlerError(err, handlerPath);
+}
+
+function addRoute(registration, route, handlerPath) {
+  registration.routes.push(createRouteEntry(route, toRelativePath(registration, handlerPath)));
+}
+
+function addAutomaticRoutes(registration) {
+  registration.automaticRoutes.createHandlers().forEach(({swagger, handler}) => {
+    addHandlerToBtrzSwaggerExpress(handler.spec.method, swagger, handler, registration.app);
+  });
+}
+
+// The models of a version are added to the swagger document of that version, along with the models of the resources
+// which are not versioned
+function publishModels(registration, dependencies) {
+  const {models, versionModels} = registration;
+  const sharedModels = {...models.models};
+  const documents = new Map();
+
+  Object.keys(versionModels).forEach((version) => {
+    const swagger = getVersionSwagger(dependencies, version);
+    if (swagger === dependencies.swagger) {
+      Object.assign(models.models, versionModels[version]);
+    } else {
+      documents.set(swagger, Object.assign(documents.get(swagger) ?? {...sharedModels}, versionModels[version]));
+    }
+  });
+
+  dependencies.swagger.addModels(models);
+  documents.forEach((documentModels, swagger) => {
+    swagger.addModels({models: documentModels});
+  });
+}
+
+function register(basePath, dependencies) {
+  const {logger} = dependencies;
+  const discoveryOptions = getDiscoveryOptions(dependencies.discovery);
+  const registration = createRegistration(basePath, dependencies);
+
+  findResources(basePath).forEach(({handlersPath, modelsPath}) => {
+    let resourceModels = {};
+
+    if (modelsPath) {
+      try {
+        resourceModels = require(modelsPath).models();
+        addResourceModels(registration, resourceModels, modelsPath);
+      } catch (e) {
+        logger.error("register:error", [modelsPath, e]);
+        throw createError(e);
+      }
+    }
+
+    if (handlersPath) {
+      findHandlerFiles(basePath, handlersPath, discoveryOptions).forEach((handlerPath) => {
         try {
-          resourceModels = require(modelsPath).models();
-          _models.models = Object.assign(_models.models, resourceModels);
+          const HandlerClass = require(handlerPath).Handler;
+          if (HandlerClass === undefined) {
+            // Helpers and other modules can live next to the handlers
+            logger.debug(`register: ${handlerPath} was skipped because it has no 'Handler' export`);
+            return;
+          }
+          const context = getHandlerContext(registration, handlerPath);
+          addRoute(registration, attachHandlerToExpressServer(HandlerClass, resourceModels, dependencies, context), handlerPath);
         } catch (e) {
-          logger.error("register:error", [modelsPath, e]);
-          throw createError(e);
+          handleHandlerError(registration, logger, handlerPath, e);
         }
+      });
+    }
+  });
+
+  addAutomaticRoutes(registration);
+  publishModels(registration, dependencies);
+  return createRegistrationHandle(registration);
+}
+
+// Loads models and handlers with import(), so they can be ES modules, and waits for handlers which build their spec or
+// configuration asynchronously.  Handlers are registered one at a time, in the same order as register(), and the
+// promise resolves once the 'init()' of every handler has finished.
+async function registerAsync(basePath, dependencies) {
+  const {logger} = dependencies;
+  const discoveryOptions = getDiscoveryOptions(dependencies.discovery, MODULE_EXTENSIONS);
+  const registration = createRegistration(basePath, dependencies);
+
+  for (const {handlersPath, modelsPath} of findResources(basePath)) {
+    let resourceModels = {};
+
+    if (modelsPath) {
+      try {
+        resourceModels = await (await importModule(modelsPath)).models();
+        addResourceModels(registration, resourceModels, modelsPath);
+      } catch (e) {
+        logger.error("register:error", [modelsPath, e]);
+        throw createError(e);
       }
+    }
 
-      if (fs.existsSync(handlersPath)) {
-        const handlerFilenames = fs.readdirSync(handlersPath);
-
-        handlerFilenames.forEach((handlerFilename) => {
-          const handlerPath = `${handlersPath}/${handlerFilename}`;
-          try {
-            const HandlerClass = require(handlerPath).Handler;
-            attachHandlerToExpressServer(HandlerClass, resourceModels, dependencies);
-          } catch (e) {
-            logger.error("register:error", [handlerPath, e]);
-            throw createError(e);
-          }
-        });
+    const handlerPaths = handlersPath ? findHandlerFiles(basePath, handlersPath, discoveryOptions) : [];
+    for (const handlerPath of handlerPaths) {
+      try {
+        const HandlerClass = getHandlerExport(await importModule(handlerPath));
+        if (HandlerClass === undefined) {
+          logger.debug(`register: ${handlerPath} was skipped because it has no 'Handler' export`);
+        } else {
+          const context = getHandlerContext(registration, handlerPath);
+          const route = await attachHandlerToExpressServerAsync(HandlerClass, resourceModels, dependencies, context);
+          addRoute(registration, route, handlerPath);
+        }
+      } catch (e) {
+        handleHandlerError(registration, logger, handlerPath, e);
       }
-    });
+    }
   }
 
-  btrzSwaggerExpress.addModels(_models);
+  addAutomaticRoutes(registration);
+  publishModels(registration, dependencies);
+  const handle = createRegistrationHandle(registration);
+  await handle.ready;
+  return handle;
 }
 
 exports.registerModules = register;
+exports.registerModulesAsync = registerAsync;
 exports.attachHandlerToExpressServer = attachHandlerToExpressServer;
+exports.attachHandlerToExpressServerAsync = attachHandlerToExpressServerAsync;
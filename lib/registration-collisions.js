@@ -0,0 +1,75 @@
+const {isDeepStrictEqual} = require("node:util");
+
+const COLLISION_MODES = ["warn", "fail"];
+
+// Path parameters are ignored, "/items/{id}" and "/items/{itemId}" are the same route
+function getRouteKey(spec) {
+  return `${String(spec.method).toUpperCase()} ${String(spec.path).replace(/\{[^}]*\}|:[^/]+/g, "{}")}`;
+}
+
+// Keeps track of what register() has added to the server, to report handlers which use the same route or nickname,
+// and models which are defined differently by two resources.  Identical model definitions are allowed.  Routes, nicknames
+// and models are only compared within the same 'scope', which is the swagger document they are added to.
+class CollisionDetector {
+  constructor(options = {}) {
+    this.mode = options.onCollision ?? "warn";
+    this.logger = options.logger;
+    this.routes = new Map();
+    this.nicknames = new Map();
+    this.models = new Map();
+
+    if (!COLLISION_MODES.includes(this.mode)) {
+      throw new Error(`register() has invalid 'onCollision'.  The 'onCollision' should be one of: ${COLLISION_MODES.join(", ")}.`);
+    }
+  }
+
+  _report(message) {
+    if (this.mode === "fail") {
+      throw new Error(message);
+    }
+    if (this.logger && typeof this.logger.warn === "function") {
+      this.logger.warn(message);
+    } else if (this.logger && this.logger.error) {
+      this.logger.error(message);
+    }
+  }
+
+  addRoute(spec, source, scope = "") {
+    if (!spec) {
+      return;
+    }
+    const routeKey = `${scope}:${getRouteKey(spec)}`;
+    const route = this.routes.get(routeKey);
+    if (route) {
+      this._report(`The route "${String(spec.method).toUpperCase()} ${spec.path}" is declared by both ${route.source} and ${source}.  ` +
+        "Only one of them can handle the requests.");
+    } else {
+      this.routes.set(routeKey, {source});
+    }
+
+    if (spec.nickname !== undefined) {
+      const nicknameKey = `${scope}:${spec.nickname}`;
+      const nicknameSource = this.nicknames.get(nicknameKey);
+      if (nicknameSource) {
+        this._report(`The nickname "${spec.nickname}" is used by both ${nicknameSource} and ${source}.  Nicknames should be unique.`);
+      } else {
+        this.nicknames.set(nicknameKey, source);
+      }
+    }
+  }
+
+  addModels(models, source, scope = "") {
+    Object.keys(models || {}).forEach((name) => {
+      const modelKey = `${scope}:${name}`;
+      const model = this.models.get(modelKey);
+      if (!model) {
+        this.models.set(modelKey, {source, definition: models[name]});
+      } else if (!isDeepStrictEqual(model.definition, models[name])) {
+        this._report(`The model "${name}" is defined differently by ${model.source} and ${source}.  ` +
+          "One of the definitions would overwrite the other.");
+      }
+    });
+  }
+}
+
+module.exports = CollisionDetector;
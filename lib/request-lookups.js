@@ -0,0 +1,112 @@
+// Builds store keys from values read from the request.  Used by ExpiringKeys and RateLimiter.
+
+const crypto = require("node:crypto");
+
+const ALL_ITEMS = "[]";
+
+function hash(value) {
+  return crypto.createHash("sha256")
+    .update(value)
+    .digest("hex");
+}
+
+// "body.items[0].id" and "body.items.0.id" read the first item, "body.items[].id" reads every item
+function parsePath(path) {
+  const segments = [];
+  path.split(".").forEach((part) => {
+    const [, property, indexes] = part.match(/^([^[]*)((?:\[\d*\])*)$/) || [null, part, ""];
+    if (property) {
+      segments.push(property);
+    }
+    (indexes.match(/\[\d*\]/g) || []).forEach((index) => {
+      segments.push(index === ALL_ITEMS ? ALL_ITEMS : index.slice(1, -1));
+    });
+  });
+  return segments;
+}
+
+function resolvePath(source, segments) {
+  const values = segments.reduce((current, segment) => {
+    return current.flatMap((value) => {
+      if (value === undefined || value === null) {
+        return [];
+      }
+      if (segment === ALL_ITEMS) {
+        return Array.isArray(value) ? value : [];
+      }
+      return [value[segment]];
+    });
+  }, [source]);
+  return segments.includes(ALL_ITEMS) ? values : values[0];
+}
+
+function pathResolver(path) {
+  const segments = parsePath(path);
+  return (req) => {
+    return resolvePath(req, segments);
+  };
+}
+
+function neverFound() {
+  return undefined;
+}
+
+// A lookup is a path, a function of the request, or {path, name, required}, where 'path' is also a path or a function.
+// The legacy {keyName, alternateKeyName} form reads 'keyName' and names the key segment after 'alternateKeyName'.
+function normalizeLookup(lookup, index) {
+  if (typeof lookup === "string") {
+    return {name: lookup, resolve: pathResolver(lookup), required: true};
+  }
+  if (typeof lookup === "function") {
+    return {name: lookup.name || `lookup${index}`, resolve: lookup, required: true};
+  }
+  const path = lookup && (lookup.path || (lookup.alternateKeyName && lookup.keyName));
+  if (!path) {
+    // An invalid lookup never finds a value, so the request is not protected, as it has always been
+    return {name: "error", resolve: neverFound, required: true};
+  }
+  const name = lookup.name || lookup.alternateKeyName || (typeof path === "string" ? path : path.name || `lookup${index}`);
+  return {
+    name,
+    resolve: typeof path === "function" ? path : pathResolver(path),
+    required: lookup.required !== false
+  };
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || (Array.isArray(value) && value.length === 0);
+}
+
+function stringifyLookupValue(value) {
+  if (isMissing(value)) {
+    return "";
+  }
+  if (Array.isArray(value)) {
+    return value.map(stringifyLookupValue).join(",");
+  }
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+// Returns null when a required lookup has no value in the request
+function buildKeyMaterial(lookups, req) {
+  const segments = [];
+  for (const lookup of lookups) {
+    let value = undefined;
+    try {
+      value = lookup.resolve(req);
+    } catch {
+      // A lookup which can't read the request has no value
+    }
+    if (isMissing(value) && lookup.required) {
+      return null;
+    }
+    segments.push(`${lookup.name}:${stringifyLookupValue(value)}`);
+  }
+  return segments.join(":");
+}
+
+module.exports = {
+  normalizeLookup,
+  buildKeyMaterial,
+  hash
+};
@@ -0,0 +1,138 @@
+// Describes the routes added by register(), so that the endpoints of a service and their authorization can be audited
+// without reading every handler.  Each route looks like:
+//
+//   {method, path, nickname, version, source, authorization, middleware, validationSettings, models}
+//
+// Handler classes which have their own 'register()' function are listed with their 'source' and 'selfRegistered: true'
+// only, since they add themselves to the server.
+const path = require("node:path");
+
+function addReferencedModels(value, models) {
+  if (Array.isArray(value)) {
+    value.forEach((item) => {
+      addReferencedModels(item, models);
+    });
+  } else if (value && typeof value === "object") {
+    Object.keys(value).forEach((key) => {
+      if (key === "$ref" && typeof value[key] === "string") {
+        models.add(value[key].replace(/^#\/definitions\//, ""));
+      } else {
+        addReferencedModels(value[key], models);
+      }
+    });
+  }
+  return models;
+}
+
+function getReferencedModels(spec) {
+  const models = addReferencedModels([spec.parameters, spec.responses], new Set());
+  return [...models].sort();
+}
+
+function getMiddlewareName(middleware) {
+  return middleware.name || "anonymous";
+}
+
+// 'route' is undefined for handler classes which registered themselves
+function createRouteEntry(route, source) {
+  if (!route) {
+    return {source, selfRegistered: true};
+  }
+  const {spec, handlerConfiguration} = route;
+  return {
+    method: String(spec.method).toUpperCase(),
+    path: spec.path,
+    nickname: spec.nickname,
+    version: route.version,
+    source,
+    authorization: handlerConfiguration?.authorization,
+    middleware: (handlerConfiguration?.middleware ?? []).map(getMiddlewareName),
+    validationSettings: handlerConfiguration?.validationSettings ?? {},
+    models: getReferencedModels(spec)
+  };
+}
+
+function formatValue(value) {
+  if (value === undefined || value === null) {
+    return "";
+  }
+  if (Array.isArray(value)) {
+    return value.join(", ");
+  }
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+const TABLE_COLUMNS = ["method", "path", "nickname", "authorization", "middleware", "models", "source"];
+
+function formatTable(routes) {
+  const rows = [
+    TABLE_COLUMNS.map((column) => {
+      return column.toUpperCase();
+    }),
+    ...routes.map((route) => {
+      return TABLE_COLUMNS.map((column) => {
+        return route.selfRegistered && column === "method" ? "(self-registered)" : formatValue(route[column]);
+      });
+    })
+  ];
+  const widths = TABLE_COLUMNS.map((column, index) => {
+    return Math.max(...rows.map((row) => {
+      return row[index].length;
+    }));
+  });
+  return rows.map((row) => {
+    return row.map((cell, index) => {
+      return cell.padEnd(widths[index]);
+    }).join("  ")
+      .trimEnd();
+  }).join("\n");
+}
+
+function noop() {
+  // Nothing to do, handlers are loaded without a server
+}
+
+// Loads the handlers under 'basePath' the way register() does, but without a server, and returns their routes.
+// Handler constructors receive 'options.dependencies' along with stand-ins for the server, the authenticator and the
+// key store, and their 'init()' is not called.  Handlers which can't be loaded with these dependencies, ie. because
+// their constructor uses a database, are listed in 'failures' as {source, error}, and the other handlers are still
+// listed in 'routes'.
+async function buildRouteManifest(basePath, options = {}) {
+  // Required here, since register.js uses this module
+  const {registerModulesAsync} = require("./register");
+  const {MemoryStore} = require("./key-stores");
+  const logger = options.logger ?? {debug: noop, info: noop, warn: noop, error: noop, fatal: noop};
+  const swagger = {
+    addGet: noop, addPost: noop, addPut: noop, addDelete: noop, addPatch: noop, addHead: noop, addOptions: noop, addModels: noop
+  };
+  const authenticator = {
+    getMiddlewareForAuthPolicy() {
+      return (req, res, next) => {
+        return next();
+      };
+    }
+  };
+
+  const failures = [];
+  const {routes} = await registerModulesAsync(basePath, {
+    config: {},
+    keyStore: new MemoryStore(),
+    ...options.dependencies,
+    swagger,
+    authenticator,
+    logger,
+    discovery: options.discovery,
+    lifecycleHooks: false,
+    onHandlerError(err, handlerPath) {
+      failures.push({source: path.relative(basePath, handlerPath).split(path.sep)
+        .join("/"), error: err.message});
+    }
+  });
+  return {routes, failures};
+}
+
+module.exports = {
+  createRouteEntry,
+  formatTable,
+  buildRouteManifest
+};
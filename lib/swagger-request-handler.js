@@ -1,74 +1,271 @@
+const util = require("node:util");
+const isPlainObject = require("lodash.isplainobject");
 const errorHandler = require("./http-response-handlers").error;
 
-async function runMiddleware(req, res, middleware) {
-  await new Promise((resolve, reject) => {
+// The property where middleware keeps the security requirements declared with withSecurity()
+const SECURITY = Symbol.for("btrz-http-service.security");
+
+const warnAboutSourceSniffing = util.deprecate(() => {
+  // Only the warning is needed
+}, "swaggerRequestHandler() found the security of a middleware by reading its source code, which breaks when the " +
+  "code is minified or wrapped.  Declare the security of the middleware with withSecurity() instead.", "BTRZ_HTTP_SERVICE_001");
+
+function isRequirement(requirement) {
+  return isPlainObject(requirement) && Object.values(requirement).every((scopes) => {
+    return Array.isArray(scopes);
+  });
+}
+
+// Declares the security requirements of a middleware, which are added to the spec of the endpoints that use it.  The
+// requirements map the name of each security scheme to its scopes, ie. {JwtAuth: []} or {OAuth2: ["trips:read"]}, and
+// can be an array of them, which are alternatives like in the 'security' of OpenAPI: the middleware accepts requests
+// which meet any of them.  A new middleware which calls the given one is returned, so the given middleware, which can be
+// shared, ie. 'authenticator.authenticateTokenMiddleware', is left unchanged.  It has the name and the number of
+// arguments of the given middleware, which tell the error middleware apart and are listed by the route manifest.
+function withSecurity(middleware, requirements) {
+  const requirementList = Array.isArray(requirements) ? requirements : [requirements];
+  if (typeof middleware !== "function" || requirementList.length === 0 || !requirementList.every(isRequirement)) {
+    throw new Error("withSecurity() has invalid arguments.  It should receive a middleware function, and an object which " +
+      "maps the name of each security scheme to an array of scopes, or an array of those objects.");
+  }
+  function securedMiddleware(...args) {
+    return Reflect.apply(middleware, this, args);
+  }
+  Reflect.defineProperty(securedMiddleware, "name", {value: middleware.name});
+  Reflect.defineProperty(securedMiddleware, "length", {value: middleware.length});
+  securedMiddleware[SECURITY] = requirementList;
+  return securedMiddleware;
+}
+
+function mergeRequirements(security, requirement) {
+  const merged = {...security};
+  Object.keys(requirement).forEach((scheme) => {
+    merged[scheme] = [...new Set([...merged[scheme] ?? [], ...requirement[scheme]])];
+  });
+  return merged;
+}
+
+// Every middleware must be satisfied, by any of its alternatives, so the endpoint gets one alternative for each
+// combination of the alternatives of its middleware
+function combineRequirements(security, alternativeLists) {
+  return alternativeLists.reduce((combinations, alternatives) => {
+    return combinations.flatMap((combination) => {
+      return alternatives.map((alternative) => {
+        return mergeRequirements(combination, alternative);
+      });
+    });
+  }, [security]);
+}
+
+// Deprecated: the security of middleware that doesn't declare it is guessed from its source code
+function sniffSecurity(middlewares) {
+  let useJWTSecurity = false;
+  let useBasicSecurity = false;
+  for (const handler of middlewares) {
+    if (!handler.swagger && handler.toString().includes("authenticateTokenMiddleware")) {
+      useJWTSecurity = true;
+    } else if (!handler.swagger && handler.toString().includes("authenticate(")) {
+      useBasicSecurity = true;
+    }
+  }
+
+  if (useJWTSecurity) {
+    warnAboutSourceSniffing();
+    return [{JwtAuth: []}];
+  } else if (useBasicSecurity) {
+    warnAboutSourceSniffing();
+    return [{BasicAuth: []}];
+  }
+  return [];
+}
+
+// The options are given as the first argument, ie. swaggerRequestHandler({logger}, middleware, handler).  Handlers are
+// class instances or objects with a 'handler()' function, and middleware are functions.
+function isOptions(argument) {
+  return isPlainObject(argument) && typeof argument.handler !== "function";
+}
+
+function isFunctionList(value) {
+  return value === undefined || Array.isArray(value) && value.every((item) => {
+    return typeof item === "function";
+  });
+}
+
+function getOptions(options) {
+  if (options.onError !== undefined && typeof options.onError !== "function" ||
+    options.errorResponder !== undefined && typeof options.errorResponder !== "function" ||
+    ![options.after, options.error, options.finally].every(isFunctionList) ||
+    options.sendResult !== undefined && typeof options.sendResult !== "boolean") {
+    throw new Error("swaggerRequestHandler() has invalid options.  The 'onError' and 'errorResponder' options should be " +
+      "functions, the 'after', 'error' and 'finally' options arrays of functions, and 'sendResult' a boolean.");
+  }
+  return {
+    logger: options.logger ?? console,
+    onError: options.onError,
+    errorResponder: options.errorResponder ?? errorHandler,
+    after: options.after ?? [],
+    error: options.error ?? [],
+    finally: options.finally ?? [],
+    // Handlers send their own responses, unless the result is meant for the 'after' hooks
+    sendResult: options.sendResult ?? (options.after?.length ?? 0) > 0
+  };
+}
+
+// Like 'onHandlerError()' in register(), 'onError()' returns the error to respond with, or nothing to keep the original
+function mapError(onError, error) {
+  if (!onError) {
+    return error;
+  }
+  try {
+    return onError(error) ?? error;
+  } catch (anotherError) {
+    // The 'onError()' function can return an error, but should not throw one
+    return anotherError;
+  }
+}
+
+// Resolves with true when the middleware sent the response itself, ie. a 401 or a 429, or the connection closed,
+// instead of calling next()
+function runMiddleware(req, res, middleware) {
+  return new Promise((resolve, reject) => {
+    function onResponse() {
+      resolve(true);
+    }
+    res?.once?.("finish", onResponse);
+    res?.once?.("close", onResponse);
     middleware(req, res, (error) => {
-      error ? reject(error) : resolve();
+      res?.off?.("finish", onResponse);
+      res?.off?.("close", onResponse);
+      return error ? reject(error) : resolve(false);
     });
   });
 }
 
+// Resolves with true when a middleware sent the response, which skips the rest of the middlewares and the handler
+async function runMiddlewares(middlewares, req, res) {
+  for (const middleware of middlewares) {
+    if (await runMiddleware(req, res, middleware)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Express-style error middleware, (err, req, res, next), handles the error by sending the response, or passes it on
+// with next(error).  next() without an error passes on the same error.  Resolves with the error to pass on, or null.
+function runErrorMiddleware(error, req, res, middleware) {
+  return new Promise((resolve) => {
+    Promise.resolve()
+      .then(() => {
+        return middleware(error, req, res, (nextError) => {
+          resolve(nextError ?? error);
+        });
+      })
+      .then(() => {
+        if (res.headersSent) {
+          resolve(null);
+        }
+      }, resolve);
+  });
+}
+
+// The 'after' hooks receive the result of the handler, before it is sent, and can return another result
+async function runAfterHooks(hooks, result, req, res) {
+  let hookResult = result;
+  for (const hook of hooks) {
+    hookResult = await hook(hookResult, req, res) ?? hookResult;
+  }
+  return hookResult;
+}
+
+// The 'finally' hooks run once the request is over, and receive the error, if any.  Their errors are only logged.
+async function runFinallyHooks(hooks, {req, res, error, logger}) {
+  for (const hook of hooks) {
+    try {
+      await hook(req, res, error);
+    } catch (hookError) {
+      logger.error?.("swaggerRequestHandler: a 'finally' hook failed", hookError);
+    }
+  }
+}
+
 // accepts "multiple callback functions that behave just like middleware"
 // like in Express, their signature must be (req, res, next)
 // last argument must always be a Handler class instance,
 // that implements getSpec() and handler(req, res)
-function swaggerRequestHandler(...handlers) {
-  const securityJwt = [
-    {
-      "ApiKeyAuth": [],
-      "JwtAuth": []
-    }];
-  const securityApi = [
-    {
-      "ApiKeyAuth": []
-    }];
-  const securityBasic = [
-    {
-      "ApiKeyAuth": [],
-      "BasicAuth": []
-    }];
-  let useJWTSecurity = false;
-  let useBasicSecurity = false;
-  if (handlers.length > 1) {
-    for (const handler of handlers) {
-      if (!handler.swagger && handler.toString().includes("authenticateTokenMiddleware")) {
-        useJWTSecurity = true;
-      } else if (!handler.swagger && handler.toString().includes("authenticate(")) {
-        useBasicSecurity = true;
+// the first argument can be the options: {logger, onError, errorResponder, sendResult, after, error, finally}
+// the request goes through these phases: the middlewares, the handler, the 'after' hooks, then the error middlewares
+// (the 'error' option along with the middlewares which take 4 arguments) if something failed, and the 'finally' hooks,
+// which also run when a middleware sent the response itself
+function swaggerRequestHandler(...args) {
+  const hasOptions = args.length > 1 && isOptions(args[0]);
+  const options = getOptions(hasOptions ? args[0] : {});
+  const {logger, onError, errorResponder} = options;
+  const handlers = hasOptions ? args.slice(1) : args;
+  const middlewares = handlers.slice(0, -1).filter((middleware) => {
+    return middleware.length !== 4;
+  });
+  const errorMiddlewares = [
+    ...handlers.slice(0, -1).filter((middleware) => {
+      return middleware.length === 4;
+    }),
+    ...options.error
+  ];
+
+  async function handleError(error, req, res) {
+    let remainingError = error;
+    for (const errorMiddleware of errorMiddlewares) {
+      remainingError = await runErrorMiddleware(remainingError, req, res, errorMiddleware);
+      if (remainingError === null) {
+        return;
       }
     }
+    errorResponder(res, logger)(mapError(onError, remainingError));
   }
 
+  // Every endpoint needs the API key, along with the requirements declared by its middleware
   function applySecurity(spec) {
-    if (useJWTSecurity) {
-      spec.security = securityJwt;
-    } else if (useBasicSecurity) {
-      spec.security = securityBasic;
-    } else {
-      spec.security = securityApi;
+    const declared = middlewares.filter((middleware) => {
+      return middleware[SECURITY];
+    });
+    const undeclared = middlewares.filter((middleware) => {
+      return !middleware[SECURITY];
+    });
+    const alternativeLists = declared.map((middleware) => {
+      return middleware[SECURITY];
+    });
+    const sniffed = sniffSecurity(undeclared);
+    if (sniffed.length > 0) {
+      alternativeLists.push(sniffed);
     }
+    spec.security = combineRequirements({"ApiKeyAuth": []}, alternativeLists);
     return spec;
   }
 
-  const middlewares = handlers.slice(0, -1);
   const endpointHandler = handlers.slice(-1)[0];
   const endpointSpec = endpointHandler.getSpec?.() ?? endpointHandler.constructor.getSpec?.(); // Support static or instance methods
 
   return {
     "spec": applySecurity(endpointSpec),
     "action": async function (req, res) {
+      let requestError = null;
       try {
-        for (const middleware of middlewares) {
-          await runMiddleware(req, res, middleware);
+        if (!await runMiddlewares(middlewares, req, res)) {
+          const result = await runAfterHooks(options.after, await endpointHandler.handler(req, res), req, res);
+          // With 'sendResult', the result is sent unless the handler sent the response itself, as the http response handlers do
+          if (options.sendResult && result !== undefined && result !== res && !res.headersSent) {
+            res.status(res.statusCode).json(result);
+          }
         }
-
-        await endpointHandler.handler(req, res);
       } catch (error) {
-        errorHandler(res, console)(error);
-        return;
+        requestError = error;
+        await handleError(error, req, res);
       }
+      await runFinallyHooks(options.finally, {req, res, error: requestError, logger});
     }
   };
 }
 
 module.exports = swaggerRequestHandler;
+module.exports.SECURITY = SECURITY;
+module.exports.withSecurity = withSecurity;
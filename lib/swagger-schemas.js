@@ -1,3 +1,28 @@
+const validationErrorDetail = {
+  "type": "object",
+  "properties": {
+    "path": {
+      "type": "string",
+      "description": "The location of the invalid value in the request, ie. \"body.passengers[0].firstName\""
+    },
+    "value": {
+      "description": "The value that failed validation.  Absent when a required value is missing."
+    },
+    "constraint": {
+      "type": "string",
+      "description": "The constraint of the schema that was not met, ie. \"required\", \"type\" or \"pattern\""
+    },
+    "reason": {
+      "type": "string",
+      "description": "A string identifying the reason of the failure, for programmatic use"
+    },
+    "message": {
+      "type": "string",
+      "description": "English description of the problem"
+    }
+  }
+};
+
 module.exports = {
   bzDate: {
     "id": "BzDate",
@@ -69,6 +94,47 @@ module.exports = {
       "message": {
         "type": "string",
         "description": "English description of the error, usually including some information on what caused the error"
+      },
+      "errors": {
+        "type": "array",
+        "description": "Present when the request failed validation.  Lists every problem found in the request, not only the first one.",
+        "items": validationErrorDetail
+      }
+    }
+  },
+  problemDetails: {
+    "id": "ProblemDetails",
+    "required": ["type", "title", "status"],
+    "description": "An error response in the RFC 9457 format (application/problem+json)",
+    "properties": {
+      "type": {
+        "type": "string",
+        "description": "A URI identifying the type of problem, or \"about:blank\" when the problem has no specific type"
+      },
+      "title": {
+        "type": "string",
+        "description": "A short summary of the problem, the reason phrase of the status code"
+      },
+      "status": {
+        "type": "integer",
+        "description": "The HTTP status code of the response"
+      },
+      "detail": {
+        "type": "string",
+        "description": "English description of the error, usually including some information on what caused the error"
+      },
+      "instance": {
+        "type": "string",
+        "description": "The path of the request that failed"
+      },
+      "code": {
+        "type": "string",
+        "description": "A string identifying the specific error, the same as the 'code' of the ErrorResponse"
+      },
+      "errors": {
+        "type": "array",
+        "description": "Present when the request failed validation.  Lists every problem found in the request, not only the first one.",
+        "items": validationErrorDetail
       }
     }
   },
@@ -87,5 +153,16 @@ module.exports = {
       "format": "int32",
       "description": "The total number of results returned by your query, across all pages."
     }
+  },
+  cursorPagingProps: {
+    "next": {
+      "type": "string",
+      "description": "A URL pointing to the next page of results.  If no more results are available, this will be an empty string."
+    },
+    "previous": {
+      "type": "string",
+      "description": "A URL pointing to the previous page of results.  If no previous results are available " +
+        "(ie. you are already viewing the first page of results), this will be an empty string."
+    }
   }
 };
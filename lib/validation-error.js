@@ -1,12 +1,16 @@
 "use strict";
 
-function ValidationError(code, message, statusCodeOverride) {
+// 'errors' is an optional list of details, ie. [{path, value, constraint, reason, message}], sent with the response
+function ValidationError(code, message, statusCodeOverride, errors) {
   this.constructor.prototype.__proto__ = Error.prototype;
   Error.captureStackTrace(this, this.constructor);
   this.name = this.constructor.name;
   this.message = message || "";
   this.status = statusCodeOverride || 400;
   this.code = code || ""; 
+  if (errors) {
+    this.errors = errors;
+  }
 }
 
 module.exports = ValidationError;
@@ -0,0 +1,136 @@
+"use strict";
+
+describe("API versioning", () => {
+  const expect = require("chai").expect;
+  const sinon = require("sinon");
+  const {
+    getVersioning,
+    getFolderVersion,
+    getHandlerVersion,
+    applyVersionToSpec,
+    getDeprecationMiddleware,
+    getVersionSwagger
+  } = require("../lib/api-versioning");
+
+  class GetTripHandler {}
+
+  let dependencies = null;
+
+  beforeEach(() => {
+    dependencies = {
+      swagger: {name: "main"},
+      versioning: {
+        versions: {
+          v1: {swagger: {name: "v1"}, deprecated: "2024-01-01T00:00:00Z", sunset: "2025-06-30T00:00:00Z", link: "https://example.com/v2"},
+          v2: {}
+        }
+      }
+    };
+  });
+
+  describe("getVersioning()", () => {
+    it("should return null if there is no 'versioning'", () => {
+      expect(getVersioning({})).to.eql(null);
+    });
+
+    it("should throw if 'versioning' has no 'versions'", () => {
+      expect(() => {
+        return getVersioning({versioning: {}});
+      }).to.throw("register() has invalid 'versioning'.");
+    });
+  });
+
+  describe("getFolderVersion()", () => {
+    it("should return the version of the deepest folder named like a version", () => {
+      const versioning = getVersioning(dependencies);
+      expect(getFolderVersion(versioning, "v1/trips/handlers/v2/get-trip.js")).to.eql("v2");
+      expect(getFolderVersion(versioning, "v1/trips/handlers/get-trip.js")).to.eql("v1");
+      expect(getFolderVersion(versioning, "trips/handlers/v2.js")).to.eql(undefined);
+    });
+
+    it("should return undefined if versioning is not enabled", () => {
+      expect(getFolderVersion(null, "trips/handlers/v2/get-trip.js")).to.eql(undefined);
+    });
+  });
+
+  describe("getHandlerVersion()", () => {
+    it("should prefer the version of the handler configuration to the version of the folder", () => {
+      expect(getHandlerVersion(dependencies, {version: "v1"}, "v2", new GetTripHandler())).to.eql("v1");
+      expect(getHandlerVersion(dependencies, {}, "v2", new GetTripHandler())).to.eql("v2");
+    });
+
+    it("should throw if the version is not one of the versions given to register()", () => {
+      expect(() => {
+        return getHandlerVersion(dependencies, {version: "v3"}, undefined, new GetTripHandler());
+      }).to.throw("GetTripHandler belongs to version 'v3', which is not in the 'versioning.versions' given to register().");
+    });
+
+    it("should throw if a handler has a version but versioning is not enabled", () => {
+      expect(() => {
+        return getHandlerVersion({}, {version: "v1"}, undefined, new GetTripHandler());
+      }).to.throw("GetTripHandler belongs to version 'v1'");
+    });
+  });
+
+  describe("applyVersionToSpec()", () => {
+    it("should prefix the path with the version, and flag deprecated versions", () => {
+      const spec = {path: "/trips/{tripId}", method: "GET"};
+      expect(applyVersionToSpec(dependencies, "v1", spec)).to.eql({path: "/v1/trips/{tripId}", method: "GET", deprecated: true});
+      expect(applyVersionToSpec(dependencies, "v2", spec)).to.eql({path: "/v2/trips/{tripId}", method: "GET"});
+      expect(spec.path).to.eql("/trips/{tripId}");
+    });
+
+    it("should use the given 'prefix'", () => {
+      dependencies.versioning.prefix = (version) => {
+        return `/api/${version}`;
+      };
+      expect(applyVersionToSpec(dependencies, "v2", {path: "/trips"}).path).to.eql("/api/v2/trips");
+    });
+  });
+
+  describe("getDeprecationMiddleware()", () => {
+    it("should set the Deprecation, Sunset and Link headers of deprecated versions", () => {
+      const res = {set: sinon.spy()};
+      const next = sinon.spy();
+      const [middleware] = getDeprecationMiddleware(dependencies, "v1");
+
+      middleware({}, res, next);
+
+      expect(res.set.firstCall.args[0]).to.eql({
+        Deprecation: "@1704067200",
+        Sunset: "Mon, 30 Jun 2025 00:00:00 GMT",
+        Link: "<https://example.com/v2>; rel=\"deprecation\""
+      });
+      expect(next.calledOnce).to.eql(true);
+    });
+
+    it("should set 'Deprecation: true' if the version is deprecated without a date", () => {
+      const res = {set: sinon.spy()};
+      dependencies.versioning.versions.v2.deprecated = true;
+      const [middleware] = getDeprecationMiddleware(dependencies, "v2");
+
+      middleware({}, res, sinon.spy());
+
+      expect(res.set.firstCall.args[0]).to.eql({Deprecation: "true"});
+    });
+
+    it("should return no middleware for versions which are not deprecated", () => {
+      expect(getDeprecationMiddleware(dependencies, "v2")).to.eql([]);
+    });
+
+    it("should throw if a date is invalid", () => {
+      dependencies.versioning.versions.v2.sunset = "someday";
+      expect(() => {
+        return getDeprecationMiddleware(dependencies, "v2");
+      }).to.throw("register() has an invalid date \"someday\" in 'versioning.versions'.");
+    });
+  });
+
+  describe("getVersionSwagger()", () => {
+    it("should return the swagger of the version, or the main swagger", () => {
+      expect(getVersionSwagger(dependencies, "v1")).to.eql({name: "v1"});
+      expect(getVersionSwagger(dependencies, "v2")).to.eql({name: "main"});
+      expect(getVersionSwagger(dependencies, undefined)).to.eql({name: "main"});
+    });
+  });
+});
@@ -0,0 +1,134 @@
+"use strict";
+
+describe("AutomaticRoutes", () => {
+  const express = require("express");
+  const request = require("supertest");
+  const sinon = require("sinon");
+  const {expect} = require("chai");
+  const AutomaticRoutes = require("../lib/automatic-routes");
+  const {getCorsPolicy} = require("../lib/cors");
+
+  let automaticRoutes = null;
+  let logger = null;
+  let swagger = null;
+
+  function createHandler(spec) {
+    return {
+      spec,
+      action(req, res) {
+        res.json({method: spec.method});
+      }
+    };
+  }
+
+  function createApp(handlers) {
+    const app = express();
+    handlers.forEach(({handler}) => {
+      app[handler.spec.method.toLowerCase()](handler.spec.path.replace(/\{([^}]+)\}/g, ":$1"), handler.action);
+    });
+    return app;
+  }
+
+  beforeEach(() => {
+    logger = {warn: sinon.stub()};
+    automaticRoutes = new AutomaticRoutes({logger});
+    swagger = {addHead: sinon.stub(), addOptions: sinon.stub()};
+  });
+
+  it("should create a HEAD route for every GET, documented without the response schemas", () => {
+    const getHandler = createHandler({
+      path: "/trips/{tripId}",
+      method: "GET",
+      nickname: "getTrip",
+      parameters: [{in: "path", name: "tripId", type: "string"}],
+      responses: {200: {description: "The trip", schema: {$ref: "#/definitions/Trip"}}}
+    });
+    automaticRoutes.addRoute(swagger, getHandler, null);
+
+    const [head] = automaticRoutes.createHandlers();
+
+    expect(head.swagger).to.equal(swagger);
+    expect(head.handler.spec).to.eql({
+      path: "/trips/{tripId}",
+      method: "HEAD",
+      nickname: "getTripHead",
+      parameters: [{in: "path", name: "tripId", type: "string"}],
+      responses: {200: {description: "The trip"}}
+    });
+    expect(head.handler.action).to.equal(getHandler.action);
+  });
+
+  it("should create an OPTIONS route for every path, which lists the allowed methods", async () => {
+    automaticRoutes.addRoute(swagger, createHandler({path: "/trips/{tripId}", method: "DELETE", parameters: []}), null);
+    automaticRoutes.addRoute(swagger, createHandler({
+      path: "/trips/{tripId}",
+      method: "GET",
+      parameters: [{in: "path", name: "tripId", type: "string"}, {in: "query", name: "fields", type: "string"}]
+    }), null);
+
+    const handlers = automaticRoutes.createHandlers();
+    const options = handlers.find(({handler}) => {
+      return handler.spec.method === "OPTIONS";
+    });
+
+    expect(options.handler.spec).to.include({path: "/trips/{tripId}", method: "OPTIONS", nickname: "optionsTripsTripId"});
+    expect(options.handler.spec.security).to.eql([]);
+    expect(options.handler.spec.parameters).to.eql([]);
+    const response = await request(createApp(handlers))
+      .options("/trips/123")
+      .expect(204);
+    expect(response.headers.allow).to.eql("GET, HEAD, DELETE, OPTIONS");
+  });
+
+  it("should answer the preflight requests of the methods which have a CORS policy", async () => {
+    const cors = getCorsPolicy({cors: {origins: ["https://example.com"], maxAge: 600}}, {});
+    automaticRoutes.addRoute(swagger, createHandler({path: "/trips", method: "GET"}), cors);
+    automaticRoutes.addRoute(swagger, createHandler({path: "/trips", method: "POST"}), null);
+    const app = createApp(automaticRoutes.createHandlers());
+
+    const allowed = await request(app)
+      .options("/trips")
+      .set("Origin", "https://example.com")
+      .set("Access-Control-Request-Method", "GET")
+      .expect(204);
+    const notAllowed = await request(app)
+      .options("/trips")
+      .set("Origin", "https://example.com")
+      .set("Access-Control-Request-Method", "POST")
+      .expect(204);
+
+    expect(allowed.headers["access-control-allow-origin"]).to.eql("https://example.com");
+    expect(allowed.headers["access-control-allow-methods"]).to.eql("GET, HEAD");
+    expect(allowed.headers["access-control-max-age"]).to.eql("600");
+    expect(notAllowed.headers).not.to.have.property("access-control-allow-origin");
+  });
+
+  it("should not create the routes which have a handler", () => {
+    automaticRoutes.addRoute(swagger, createHandler({path: "/trips", method: "GET"}), null);
+    automaticRoutes.addRoute(swagger, createHandler({path: "/trips", method: "HEAD"}), null);
+    automaticRoutes.addRoute(swagger, createHandler({path: "/trips", method: "OPTIONS"}), null);
+
+    expect(automaticRoutes.createHandlers()).to.eql([]);
+  });
+
+  it("should log a warning and create no routes when the swagger document has no 'addHead()' or 'addOptions()'", () => {
+    automaticRoutes.addRoute({addGet: sinon.stub()}, createHandler({path: "/trips", method: "GET"}), null);
+
+    expect(automaticRoutes.createHandlers()).to.eql([]);
+    expect(logger.warn.firstCall.args[0]).to.eql("register: the HEAD and OPTIONS routes were not added, because the swagger " +
+      "document has no 'addHead()' or 'addOptions()' function.  Give register() the Express 'app', or upgrade " +
+      "btrz-swagger-express, to add them.");
+  });
+
+  it("should create the routes, and log a warning, when the swagger document has no 'addHead()' but the Express 'app' is given", () => {
+    automaticRoutes = new AutomaticRoutes({logger, app: express()});
+    automaticRoutes.addRoute({addGet: sinon.stub()}, createHandler({path: "/trips", method: "GET"}), null);
+
+    expect(automaticRoutes.createHandlers().map(({handler}) => {
+      return handler.spec.method;
+    })).to.eql(["HEAD", "OPTIONS"]);
+    expect(logger.warn.firstCall.args[0]).to.eql("register: the HEAD and OPTIONS routes were added to the Express 'app', but " +
+      "not to the swagger document, which has no 'addHead()' or 'addOptions()' function.  Upgrade btrz-swagger-express to " +
+      "document them.");
+  });
+});
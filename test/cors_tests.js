@@ -0,0 +1,125 @@
+"use strict";
+
+describe("CORS policies", () => {
+  const express = require("express");
+  const request = require("supertest");
+  const {expect} = require("chai");
+  const {getCorsPolicy, getAllowedOrigin, getCorsMiddleware, getPreflightHeaders} = require("../lib/cors");
+
+  class GetTripHandler {}
+
+  function createApp(policy) {
+    const app = express();
+    app.get("/trips", ...getCorsMiddleware(policy), (req, res) => {
+      res.json({trips: []});
+    });
+    return app;
+  }
+
+  describe("getCorsPolicy()", () => {
+    it("should return null when the handler has no 'cors'", () => {
+      expect(getCorsPolicy({}, new GetTripHandler())).to.eql(null);
+      expect(getCorsPolicy({cors: false}, new GetTripHandler())).to.eql(null);
+    });
+
+    it("should allow any origin when 'cors' is true", () => {
+      expect(getCorsPolicy({cors: true}, new GetTripHandler())).to.eql({
+        origins: "*",
+        allowedHeaders: undefined,
+        exposedHeaders: [],
+        credentials: false,
+        maxAge: undefined
+      });
+    });
+
+    it("should throw if the 'cors' is invalid", () => {
+      expect(() => {
+        return getCorsPolicy({cors: {origins: "https://example.com"}}, new GetTripHandler());
+      }).to.throw("GetTripHandler has invalid 'cors'.  The 'cors' returned by the 'configuration()' function should be true");
+      expect(() => {
+        return getCorsPolicy({cors: {origins: "*", maxAge: "10 minutes"}}, new GetTripHandler());
+      }).to.throw("GetTripHandler has invalid 'cors'.");
+    });
+  });
+
+  describe("getAllowedOrigin()", () => {
+    it("should return the origin when it is allowed by a string or a regular expression", () => {
+      const policy = getCorsPolicy({cors: {origins: ["https://example.com", /\.betterez\.com$/]}}, new GetTripHandler());
+      expect(getAllowedOrigin(policy, "https://example.com")).to.eql("https://example.com");
+      expect(getAllowedOrigin(policy, "https://websales.betterez.com")).to.eql("https://websales.betterez.com");
+      expect(getAllowedOrigin(policy, "https://other.com")).to.eql(null);
+      expect(getAllowedOrigin(policy, undefined)).to.eql(null);
+    });
+
+    it("should return \"*\" for any origin, unless credentials are allowed", () => {
+      const policy = getCorsPolicy({cors: true}, new GetTripHandler());
+      const credentialsPolicy = getCorsPolicy({cors: {origins: "*", credentials: true}}, new GetTripHandler());
+      expect(getAllowedOrigin(policy, "https://example.com")).to.eql("*");
+      expect(getAllowedOrigin(credentialsPolicy, "https://example.com")).to.eql("https://example.com");
+    });
+  });
+
+  describe("getCorsMiddleware()", () => {
+    it("should return no middleware when there is no policy", () => {
+      expect(getCorsMiddleware(null)).to.eql([]);
+    });
+
+    it("should set the CORS headers of requests from allowed origins", async () => {
+      const policy = getCorsPolicy({
+        cors: {origins: ["https://example.com"], credentials: true, exposedHeaders: ["X-Total-Count"]}
+      }, new GetTripHandler());
+
+      const response = await request(createApp(policy))
+        .get("/trips")
+        .set("Origin", "https://example.com")
+        .expect(200);
+
+      expect(response.headers["access-control-allow-origin"]).to.eql("https://example.com");
+      expect(response.headers["access-control-allow-credentials"]).to.eql("true");
+      expect(response.headers["access-control-expose-headers"]).to.eql("X-Total-Count");
+      expect(response.headers.vary).to.eql("Origin");
+    });
+
+    it("should not set the CORS headers of requests from other origins", async () => {
+      const policy = getCorsPolicy({cors: {origins: ["https://example.com"]}}, new GetTripHandler());
+
+      const response = await request(createApp(policy))
+        .get("/trips")
+        .set("Origin", "https://other.com")
+        .expect(200);
+
+      expect(response.headers).not.to.have.property("access-control-allow-origin");
+    });
+  });
+
+  describe("getPreflightHeaders()", () => {
+    const req = {
+      get(header) {
+        return {
+          "Origin": "https://example.com",
+          "Access-Control-Request-Headers": "X-API-KEY"
+        }[header];
+      }
+    };
+
+    it("should allow the methods, the requested headers and the max age", () => {
+      const policy = getCorsPolicy({cors: {origins: "*", maxAge: 600}}, new GetTripHandler());
+      expect(getPreflightHeaders(policy, req, ["GET", "HEAD"])).to.eql({
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, HEAD",
+        "Access-Control-Allow-Headers": "X-API-KEY",
+        "Access-Control-Max-Age": "600"
+      });
+    });
+
+    it("should allow the 'allowedHeaders' of the policy", () => {
+      const policy = getCorsPolicy({cors: {origins: "*", allowedHeaders: ["X-API-KEY", "Authorization"]}}, new GetTripHandler());
+      expect(getPreflightHeaders(policy, req, ["GET"])["Access-Control-Allow-Headers"]).to.eql("X-API-KEY, Authorization");
+    });
+
+    it("should return null when the origin is not allowed", () => {
+      const policy = getCorsPolicy({cors: {origins: ["https://other.com"]}}, new GetTripHandler());
+      expect(getPreflightHeaders(policy, req, ["GET"])).to.eql(null);
+    });
+  });
+});
@@ -4,7 +4,17 @@ describe("Middleware", () => {
   const expect = require("chai").expect;
   const sinon = require("sinon");  
   const ExpiringKey = require("../lib/expiring-keys");
-  const redis = require("redis").createClient();
+  const {MemoryStore} = require("../lib/key-stores");
+  function notStubbed() {
+    throw new Error("The redis command should be stubbed by the test");
+  }
+  // A callback style client, like node-redis v3, the commands are stubbed by each test
+  const redis = {
+    get: notStubbed,
+    set: notStubbed,
+    del: notStubbed,
+    pexpire: notStubbed
+  };
   const res = {
     send(code, message) {
       return {code, message};
@@ -14,6 +24,30 @@ describe("Middleware", () => {
   let sandbox = null;
   let expiringKey = null;
 
+  // Replaces the redis commands used by ExpiringKeys with a Map, returned so tests can inspect the stored keys
+  function stubRedisWithMap() {
+    const stored = new Map();
+    sandbox.stub(redis, "get").callsFake((key, callback) => {
+      callback(null, stored.get(key) || null);
+    });
+    sandbox.stub(redis, "set").callsFake((key, value, ...args) => {
+      const callback = args.pop();
+      if (args[0] === "NX" && stored.has(key)) {
+        return callback(null, null);
+      }
+      stored.set(key, value);
+      return callback(null, "OK");
+    });
+    sandbox.stub(redis, "del").callsFake((key, callback) => {
+      stored.delete(key);
+      callback(null, 1);
+    });
+    sandbox.stub(redis, "pexpire").callsFake((key, ms, callback) => {
+      callback(null, 1);
+    });
+    return stored;
+  }
+
   describe(".success()", () => {
     beforeEach(() => {
       sandbox = sinon.createSandbox();
@@ -35,7 +69,6 @@ describe("Middleware", () => {
 
     afterEach(function () {
       sandbox.restore();
-      redis.flushdb();
     })
 
     it("if no options values passed, should return next()", () => {
@@ -186,14 +219,11 @@ describe("Middleware", () => {
           }
         };
       };
-      expiringKey = new ExpiringKey(redis);
+      expiringKey = new ExpiringKey(new MemoryStore());
 
       const middleware = expiringKey.middleWare({lookup: "body.paramToFind", path: "path", method: "method", message: "test message"});
       
       const req = {body: {paramToFind: "foundParam"}};
-      const getCall = sandbox.stub(redis, "get").callsFake((key, callback) => {
-        callback(null, null);
-      });
  
       middleware(req, res, () => {
         return middleware(req, res, () => { 
@@ -213,7 +243,7 @@ describe("Middleware", () => {
           }
         };
       };
-      expiringKey = new ExpiringKey(redis);
+      expiringKey = new ExpiringKey(new MemoryStore());
 
       const middleware = expiringKey.middleWare({lookup: "body.paramToFind", path: "path", method: "method", message: "test message"});
       
@@ -227,4 +257,460 @@ describe("Middleware", () => {
       });
     });       
   });
+
+  describe("idempotency", () => {
+    const express = require("express");
+    const bodyParser = require("body-parser");
+    const request = require("supertest");
+
+    let stored = null;
+    let app = null;
+    let handler = null;
+
+    beforeEach(() => {
+      sandbox = sinon.createSandbox();
+      stored = stubRedisWithMap();
+
+      expiringKey = new ExpiringKey(redis);
+      handler = sandbox.stub().callsFake((req, response) => {
+        response.setHeader("X-Order-Id", "order-1");
+        response.status(201).json({charged: req.body.amount});
+      });
+      app = express();
+      app.use(bodyParser.json());
+      app.post("/payments",
+        expiringKey.middleWare({lookup: "headers.idempotency-key", idempotency: true}),
+        (req, response) => {
+          return handler(req, response);
+        });
+    });
+
+    afterEach(() => {
+      sandbox.restore();
+    });
+
+    it("should replay the stored status, headers and body to a retry with the same key", async () => {
+      await request(app)
+        .post("/payments")
+        .set("Idempotency-Key", "abc")
+        .send({amount: 10})
+        .expect(201, {charged: 10});
+
+      const response = await request(app)
+        .post("/payments")
+        .set("Idempotency-Key", "abc")
+        .send({amount: 10})
+        .expect(201, {charged: 10});
+
+      expect(handler.calledOnce).to.eql(true);
+      expect(response.headers["x-order-id"]).to.eql("order-1");
+      expect(response.headers["idempotent-replayed"]).to.eql("true");
+      expect(response.headers["content-type"]).to.match(/application\/json/);
+    });
+
+    it("should respond with 422 when the key is reused with a different body", async () => {
+      await request(app)
+        .post("/payments")
+        .set("Idempotency-Key", "abc")
+        .send({amount: 10})
+        .expect(201);
+
+      await request(app)
+        .post("/payments")
+        .set("Idempotency-Key", "abc")
+        .send({amount: 20})
+        .expect(422, "The idempotency key was already used for a different request");
+
+      expect(handler.calledOnce).to.eql(true);
+    });
+
+    it("should respond with 409 while the first request is still processing", async () => {
+      const key = "key:/payments:post:headers.idempotency-key:abc";
+      stored.set(key, JSON.stringify({state: "processing", fingerprint: require("node:crypto")
+        .createHash("sha256")
+        .update(JSON.stringify({amount: 10}))
+        .digest("hex")}));
+
+      await request(app)
+        .post("/payments")
+        .set("Idempotency-Key", "abc")
+        .send({amount: 10})
+        .expect(409);
+
+      expect(handler.called).to.eql(false);
+    });
+
+    it("should throw when the store has no set() to store the responses", () => {
+      const store = {get: sinon.stub(), setIfAbsent: sinon.stub(), extend: sinon.stub(), delete: sinon.stub()};
+      expect(() => {
+        return new ExpiringKey(store).middleWare({lookup: "headers.idempotency-key", idempotency: true});
+      }).to.throw("ExpiringKeys has an invalid store for 'idempotency'.  The store needs a set() function");
+    });
+
+    it("should keep the key when the client disconnects, and replay the response the handler sends afterwards", async () => {
+      const http = require("node:http");
+      const abortedApp = express();
+      let respond = null;
+      const handlerCalled = new Promise((resolve) => {
+        handler = sandbox.stub().callsFake((req, response) => {
+          respond = () => {
+            response.status(201).json({charged: 10});
+          };
+          resolve();
+        });
+      });
+      abortedApp.post("/payments", new ExpiringKey(new MemoryStore()).middleWare({lookup: "headers.idempotency-key", idempotency: true}),
+        (req, response) => {
+          return handler(req, response);
+        });
+      const server = abortedApp.listen(0);
+      try {
+        const firstRequest = http.request({port: server.address().port, path: "/payments", method: "POST",
+          headers: {"Idempotency-Key": "k1"}});
+        firstRequest.on("error", sinon.stub());
+        firstRequest.end();
+        await handlerCalled;
+        firstRequest.destroy();
+        await new Promise((resolve) => {
+          setTimeout(resolve, 20);
+        });
+
+        await request(server)
+          .post("/payments")
+          .set("Idempotency-Key", "k1")
+          .expect(409);
+
+        respond();
+        const response = await request(server)
+          .post("/payments")
+          .set("Idempotency-Key", "k1")
+          .expect(201, {charged: 10});
+
+        expect(handler.calledOnce).to.eql(true);
+        expect(response.headers["idempotent-replayed"]).to.eql("true");
+      } finally {
+        server.close();
+      }
+    });
+
+    it("should not store server errors, so that the request can be retried", async () => {
+      handler = sandbox.stub().callsFake((req, response) => {
+        response.status(500).json({code: "ERROR"});
+      });
+
+      await request(app)
+        .post("/payments")
+        .set("Idempotency-Key", "abc")
+        .send({amount: 10})
+        .expect(500);
+
+      expect(stored.size).to.eql(0);
+    });
+  });
+
+  describe("autoRelease", () => {
+    const express = require("express");
+    const request = require("supertest");
+    const key = "key:/tickets:post:headers.x-order-id:order-1";
+
+    let stored = null;
+    let status = null;
+
+    function createApp(opts) {
+      const app = express();
+      app.post("/tickets", expiringKey.middleWare({lookup: "headers.x-order-id", ...opts}), (req, response) => {
+        if (status === "throw") {
+          throw new Error("Unexpected");
+        }
+        response.status(status).json({});
+      });
+      return app;
+    }
+
+    beforeEach(() => {
+      sandbox = sinon.createSandbox();
+      stored = stubRedisWithMap();
+      expiringKey = new ExpiringKey(redis);
+      status = 200;
+    });
+
+    afterEach(() => {
+      sandbox.restore();
+    });
+
+    it("should release the key when the response finishes", async () => {
+      await request(createApp({autoRelease: true})).post("/tickets")
+        .set("X-Order-Id", "order-1")
+        .expect(200);
+
+      expect(stored.has(key)).to.eql(false);
+    });
+
+    it("should release the key when the handler throws", async () => {
+      status = "throw";
+      await request(createApp({autoRelease: true})).post("/tickets")
+        .set("X-Order-Id", "order-1")
+        .expect(500);
+
+      expect(stored.has(key)).to.eql(false);
+    });
+
+    it("should apply the policy configured for client errors", async () => {
+      status = 400;
+      await request(createApp({autoRelease: {clientError: "keep"}})).post("/tickets")
+        .set("X-Order-Id", "order-1")
+        .expect(400);
+
+      expect(stored.get(key)).to.eql("processing");
+    });
+
+    it("should extend the key when the policy for the outcome is 'extend'", async () => {
+      await request(createApp({expire: 1000, autoRelease: {success: "extend", extendBy: 60000}})).post("/tickets")
+        .set("X-Order-Id", "order-1")
+        .expect(200);
+
+      expect(stored.has(key)).to.eql(true);
+      expect(redis.pexpire.calledOnceWith(key, 60000)).to.eql(true);
+    });
+
+    it("should call onAcquired and onReleased with the key and the outcome", async () => {
+      const onAcquired = sandbox.spy();
+      const onReleased = sandbox.spy();
+      status = 503;
+      await request(createApp({autoRelease: true, onAcquired, onReleased})).post("/tickets")
+        .set("X-Order-Id", "order-1")
+        .expect(503);
+
+      expect(onAcquired.calledOnce).to.eql(true);
+      expect(onAcquired.firstCall.args[0].key).to.eql(key);
+      expect(onReleased.calledOnce).to.eql(true);
+      expect(onReleased.firstCall.args[0]).to.include({key, outcome: "serverError", statusCode: 503});
+    });
+
+    it("should throw when a policy is not recognized", () => {
+      expect(() => {
+        return expiringKey.middleWare({lookup: "body.id", autoRelease: {success: "forget"}});
+      }).to.throw("ExpiringKeys has an invalid 'autoRelease.success' policy \"forget\".  " +
+        "The policy should be one of: release, keep, extend.");
+    });
+  });
+
+  describe("heartbeat", () => {
+    const EventEmitter = require("node:events");
+    const opts = {lookup: "body.reportId", path: "/exports", method: "post", expire: 1000, heartbeat: true};
+
+    let clock = null;
+    let store = null;
+    let response = null;
+    let req = null;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+      store = new MemoryStore();
+      expiringKey = new ExpiringKey(store);
+      response = new EventEmitter();
+      response.statusCode = 200;
+      req = {body: {reportId: "report-1"}};
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it("should keep extending the key while the request is in flight", async () => {
+      await expiringKey.middleWare(opts)(req, response, () => {
+        return "next";
+      });
+
+      await clock.tickAsync(5000);
+      expect(await store.get(req.uniqueRequestKey)).not.to.eql(null);
+
+      response.emit("finish");
+      await clock.tickAsync(1000);
+      expect(await store.get(req.uniqueRequestKey)).to.eql(null);
+    });
+
+    it("should stop extending the key once it holds another owner token", async () => {
+      await expiringKey.middleWare(opts)(req, response, () => {
+        return "next";
+      });
+      await store.set(req.uniqueRequestKey, "taken by someone else", 1000);
+
+      await clock.tickAsync(1000);
+      expect(await store.get(req.uniqueRequestKey)).to.eql(null);
+    });
+
+    it("should only remove the key through clean() when the owner token is given", async () => {
+      await expiringKey.middleWare(opts)(req, response, () => {
+        return "next";
+      });
+
+      expect(req.uniqueRequestKeyOwner).to.be.a("string");
+      expect(await expiringKey.clean(req.uniqueRequestKey)).to.eql(false);
+      expect(await expiringKey.clean(req.uniqueRequestKey, "another-owner")).to.eql(false);
+      expect(await expiringKey.clean(req.uniqueRequestKey, req.uniqueRequestKeyOwner)).to.eql(true);
+      expect(await store.get(req.uniqueRequestKey)).to.eql(null);
+    });
+
+    it("should throw when the interval is not shorter than expire", () => {
+      expect(() => {
+        return expiringKey.middleWare({...opts, heartbeat: {interval: 1000}});
+      }).to.throw("ExpiringKeys has an invalid 'heartbeat.interval'.  " +
+        "The interval should be shorter than 'expire' (1000 ms), otherwise the key expires before it is extended.");
+    });
+  });
+
+  describe("storage errors", () => {
+    const opts = {lookup: "body.paymentId", path: "/payments", method: "post"};
+    const storageError = new Error("Connection lost");
+
+    let store = null;
+    let logger = null;
+    let req = null;
+    let response = null;
+
+    beforeEach(() => {
+      store = new MemoryStore();
+      logger = {error: sinon.spy()};
+      expiringKey = new ExpiringKey(store, {logger});
+      req = {body: {paymentId: "payment-1"}};
+      response = {
+        status: sinon.stub().returnsThis(),
+        send: sinon.stub().returnsThis()
+      };
+    });
+
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it("should call next and report the error to the logger by default", async () => {
+      sinon.stub(store, "get").rejects(storageError);
+      const next = sinon.spy();
+
+      await expiringKey.middleWare(opts)(req, response, next);
+
+      expect(next.calledOnce).to.eql(true);
+      const key = "key:/payments:post:body.paymentId:payment-1";
+      expect(logger.error.calledOnceWithExactly("expiring-keys:error", ["get", key, storageError])).to.eql(true);
+    });
+
+    it("should respond with 503 when the policy is 'fail-closed'", async () => {
+      sinon.stub(store, "get").rejects(storageError);
+      const next = sinon.spy();
+
+      await expiringKey.middleWare({...opts, onStorageError: "fail-closed"})(req, response, next);
+
+      expect(next.called).to.eql(false);
+      expect(response.status.calledOnceWithExactly(503)).to.eql(true);
+      expect(response.send.calledOnceWithExactly("The request can not be processed right now, please try again later")).to.eql(true);
+    });
+
+    it("should apply the policy when setting the key fails", async () => {
+      sinon.stub(store, "setIfAbsent").rejects(storageError);
+      const next = sinon.spy();
+
+      await expiringKey.middleWare({...opts, onStorageError: "fail-closed", storageErrorMessage: "Try again"})(req, response, next);
+
+      expect(next.called).to.eql(false);
+      expect(response.send.calledOnceWithExactly("Try again")).to.eql(true);
+      expect(logger.error.firstCall.args[1][0]).to.eql("setIfAbsent");
+    });
+
+    it("should call a custom policy with the error", async () => {
+      sinon.stub(store, "get").rejects(storageError);
+      const onStorageError = sinon.spy();
+      const next = sinon.spy();
+
+      await expiringKey.middleWare({...opts, onStorageError})(req, response, next);
+
+      expect(onStorageError.calledOnceWithExactly(storageError, req, response, next)).to.eql(true);
+    });
+
+    it("should throw when the policy is not recognized", () => {
+      expect(() => {
+        return expiringKey.middleWare({...opts, onStorageError: "ignore"});
+      }).to.throw("ExpiringKeys has an invalid 'onStorageError' policy \"ignore\".  " +
+        "The policy should be \"fail-open\", \"fail-closed\" or a function.");
+    });
+  });
+
+  describe("lookups", () => {
+    let store = null;
+    let next = null;
+
+    beforeEach(() => {
+      store = new MemoryStore();
+      expiringKey = new ExpiringKey(store);
+      next = sinon.spy();
+    });
+
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it("should accept functions of the request", async () => {
+      const req = {body: {}, account: {accountId: "account-1"}};
+      const middleware = expiringKey.middleWare({
+        lookup: [function accountId(request) {
+          return request.account.accountId;
+        }],
+        path: "/tickets",
+        method: "post"
+      });
+
+      await middleware(req, {}, next);
+
+      expect(req.uniqueRequestKey).to.eql("key:/tickets:post:accountId:account-1");
+    });
+
+    it("should accept paths into arrays", async () => {
+      const req = {body: {items: [{id: "a"}, {id: "b"}]}};
+      const middleware = expiringKey.middleWare({
+        lookup: ["body.items[0].id", {path: "body.items[].id", name: "items"}],
+        path: "/tickets",
+        method: "post"
+      });
+
+      await middleware(req, {}, next);
+
+      expect(req.uniqueRequestKey).to.eql("key:/tickets:post:body.items[0].id:a:items:a,b");
+    });
+
+    it("should call next without setting a key when a required lookup has no value", () => {
+      const req = {body: {items: []}};
+      const middleware = expiringKey.middleWare({lookup: "body.items[].id", path: "/tickets", method: "post"});
+
+      middleware(req, {}, next);
+
+      expect(next.calledOnce).to.eql(true);
+      expect(req.uniqueRequestKey).to.eql(undefined);
+    });
+
+    it("should build the key when a lookup that is not required has no value", async () => {
+      const req = {body: {orderId: "order-1"}};
+      const middleware = expiringKey.middleWare({
+        lookup: ["body.orderId", {path: "body.promoCode", required: false}],
+        path: "/tickets",
+        method: "post"
+      });
+
+      await middleware(req, {}, next);
+
+      expect(req.uniqueRequestKey).to.eql("key:/tickets:post:body.orderId:order-1:body.promoCode:");
+    });
+
+    it("should hash the lookup values when hashKey is set", async () => {
+      const req = {body: {email: "someone@example.com"}};
+      const middleware = expiringKey.middleWare({lookup: "body.email", path: "/customers", method: "post", hashKey: true});
+
+      await middleware(req, {}, next);
+
+      const digest = require("node:crypto").createHash("sha256")
+        .update("body.email:someone@example.com")
+        .digest("hex");
+      expect(req.uniqueRequestKey).to.eql(`key:/customers:post:${digest}`);
+      expect(req.uniqueRequestKey).not.to.contain("someone@example.com");
+    });
+  });
 });
@@ -0,0 +1,90 @@
+"use strict";
+
+describe("Handler discovery", () => {
+  const expect = require("chai").expect;
+  const path = require("node:path");
+  const {
+    globToRegExp,
+    getDiscoveryOptions,
+    findResources,
+    findHandlerFiles,
+    importModule,
+    getHandlerExport
+  } = require("../lib/handler-discovery");
+
+  const basePath = path.join(__dirname, "test-register", "discovery");
+
+  function relative(paths) {
+    return paths.map((filePath) => {
+      return path.relative(basePath, filePath).split(path.sep)
+        .join("/");
+    });
+  }
+
+  describe("globToRegExp()", () => {
+    it("should match any number of folders with '**' and a single path segment with '*'", () => {
+      expect(globToRegExp("**/legacy/*.js").test("tickets/handlers/legacy/old-ticket.js")).to.eql(true);
+      expect(globToRegExp("**/legacy/*.js").test("legacy/old-ticket.js")).to.eql(true);
+      expect(globToRegExp("tickets/*.js").test("tickets/handlers/get-ticket.js")).to.eql(false);
+      expect(globToRegExp("tickets/handlers/get-?icket.js").test("tickets/handlers/get-ticket.js")).to.eql(true);
+    });
+  });
+
+  describe("findResources()", () => {
+    it("should find nested resources, sorted by path", () => {
+      const resources = findResources(basePath);
+      const resourcePaths = resources.map((resource) => {
+        return resource.resourcePath;
+      });
+      expect(relative(resourcePaths)).to.eql(["accounts/users", "tickets"]);
+      expect(resources[0].modelsPath).to.eql(path.join(basePath, "accounts", "users", "models"));
+      expect(resources[1].modelsPath).to.eql(null);
+    });
+  });
+
+  describe("findHandlerFiles()", () => {
+    const handlersPath = path.join(basePath, "tickets", "handlers");
+
+    it("should find the files with the given extensions in nested folders, sorted by path", () => {
+      const files = findHandlerFiles(basePath, handlersPath, getDiscoveryOptions());
+      expect(relative(files)).to.eql([
+        "tickets/handlers/get-ticket.js",
+        "tickets/handlers/helpers/format.js",
+        "tickets/handlers/legacy/old-ticket.js",
+        "tickets/handlers/v2/list-tickets.js"
+      ]);
+    });
+
+    it("should only return the files which match the 'include' patterns and none of the 'exclude' patterns", () => {
+      const options = getDiscoveryOptions({include: "tickets/**", exclude: ["**/helpers/**", "**/legacy/**"]});
+      const files = findHandlerFiles(basePath, handlersPath, options);
+      expect(relative(files)).to.eql(["tickets/handlers/get-ticket.js", "tickets/handlers/v2/list-tickets.js"]);
+    });
+
+    it("should use the given extensions", () => {
+      const files = findHandlerFiles(basePath, handlersPath, getDiscoveryOptions({extensions: [".md"]}));
+      expect(relative(files)).to.eql(["tickets/handlers/README.md"]);
+    });
+  });
+
+  describe("importModule()", () => {
+    const esmPath = path.join(__dirname, "test-register", "esm", "tickets");
+
+    it("should load ES modules, and the 'index' file of a folder", async () => {
+      const models = await importModule(path.join(esmPath, "models"));
+      expect(await models.models()).to.eql({Ticket: {}});
+    });
+
+    it("should return the 'Handler' export, or the default export", async () => {
+      const named = await importModule(path.join(esmPath, "handlers", "list-tickets.mjs"));
+      const defaultExport = await importModule(path.join(esmPath, "handlers", "get-ticket.mjs"));
+      const commonJs = await importModule(path.join(esmPath, "handlers", "update-ticket.js"));
+      const helper = await importModule(path.join(esmPath, "handlers", "helpers", "format.mjs"));
+
+      expect(getHandlerExport(named).name).to.eql("Handler");
+      expect(getHandlerExport(defaultExport).name).to.eql("GetTicketHandler");
+      expect(getHandlerExport(commonJs).name).to.eql("Handler");
+      expect(getHandlerExport(helper)).to.eql(undefined);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+"use strict";
+
+describe("Handler hooks", () => {
+  const sinon = require("sinon");
+  const {expect} = require("chai");
+  const {getHandlerHooks, runRequestHook, runBeforeResponseHook, getFinallyHooks} = require("../lib/handler-hooks");
+
+  class GetTripHandler {}
+
+  describe("getHandlerHooks()", () => {
+    it("should return the hooks of the handler configuration, and null for the missing ones", () => {
+      const afterValidation = sinon.stub();
+
+      expect(getHandlerHooks({afterValidation}, new GetTripHandler())).to.eql({
+        beforeValidation: null,
+        afterValidation,
+        beforeResponse: null,
+        onResponse: null
+      });
+      expect(getHandlerHooks(undefined, new GetTripHandler()).afterValidation).to.eql(null);
+    });
+
+    it("should throw if a hook is not a function", () => {
+      expect(() => {
+        return getHandlerHooks({onResponse: "log"}, new GetTripHandler());
+      }).to.throw("GetTripHandler has invalid 'onResponse'.  The 'onResponse' returned by the 'configuration()' function " +
+        "should be a function.");
+    });
+  });
+
+  describe("runRequestHook()", () => {
+    it("should resolve with true when the hook sent the response", async () => {
+      const res = {headersSent: false};
+
+      expect(await runRequestHook(null, {}, res)).to.eql(false);
+      expect(await runRequestHook(sinon.stub().resolves(), {}, res)).to.eql(false);
+      expect(await runRequestHook((req, response) => {
+        response.headersSent = true;
+      }, {}, res)).to.eql(true);
+    });
+  });
+
+  describe("runBeforeResponseHook()", () => {
+    it("should resolve with the body returned by the hook, or the original body when the hook returns nothing", async () => {
+      const req = {};
+      const res = {};
+      const hook = sinon.stub().resolves({trips: [], count: 0});
+
+      expect(await runBeforeResponseHook(hook, {trips: []}, req, res)).to.eql({trips: [], count: 0});
+      expect(hook.firstCall.args).to.eql([{trips: []}, req, res]);
+      expect(await runBeforeResponseHook(sinon.stub(), {trips: []}, req, res)).to.eql({trips: []});
+      expect(await runBeforeResponseHook(null, {trips: []}, req, res)).to.eql({trips: []});
+    });
+  });
+
+  describe("getFinallyHooks()", () => {
+    it("should call the 'onResponse' hook with the request and the response", () => {
+      const onResponse = sinon.stub();
+      const [hook] = getFinallyHooks({onResponse});
+
+      hook("req", "res", new Error("Some error"));
+
+      expect(onResponse.firstCall.args).to.eql(["req", "res"]);
+      expect(getFinallyHooks({onResponse: null})).to.eql([]);
+    });
+  });
+});
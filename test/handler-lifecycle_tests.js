@@ -0,0 +1,185 @@
+"use strict";
+
+describe("HandlerLifecycle", () => {
+  const {EventEmitter} = require("node:events");
+  const chai = require("chai");
+  const sinon = require("sinon");
+  const sinonChai = require("sinon-chai");
+  const HandlerLifecycle = require("../lib/handler-lifecycle");
+  const {expect} = chai;
+  chai.use(sinonChai);
+
+  let lifecycle = null;
+  let logger = null;
+
+  function runMiddleware(middleware) {
+    const res = new EventEmitter();
+    return new Promise((resolve) => {
+      middleware({}, res, (error) => {
+        resolve({res, error});
+      });
+    });
+  }
+
+  beforeEach(() => {
+    logger = {warn: sinon.stub(), error: sinon.stub()};
+    lifecycle = new HandlerLifecycle({logger});
+  });
+
+  describe("ready()", () => {
+    it("should resolve once the 'init()' of every handler has finished", async () => {
+      const events = [];
+      class Handler {
+        async init() {
+          await new Promise((resolve) => {
+            setTimeout(resolve, 5);
+          });
+          events.push("init");
+        }
+      }
+      class StaticHandler {
+        static init() {
+          events.push("static init");
+        }
+      }
+      lifecycle.addHandler(new Handler());
+      lifecycle.addHandler(new StaticHandler());
+      lifecycle.addHandler({});
+
+      await lifecycle.ready();
+
+      expect(events).to.eql(["static init", "init"]);
+    });
+
+    it("should reject and log when an 'init()' fails", async () => {
+      class Handler {
+        init() {
+          throw new Error("No database");
+        }
+      }
+      lifecycle.addHandler(new Handler());
+
+      let error = null;
+      await lifecycle.ready().catch((e) => {
+        error = e;
+      });
+
+      expect(error.message).to.eql("No database");
+      expect(logger.error).to.have.been.calledWith("register:init", ["Handler", error]);
+    });
+
+    it("should not call 'init()' when the hooks are disabled", async () => {
+      const handler = {init: sinon.stub()};
+      lifecycle = new HandlerLifecycle({hooks: false});
+      lifecycle.addHandler(handler);
+
+      await lifecycle.ready();
+
+      expect(handler.init.called).to.eql(false);
+    });
+  });
+
+  describe("the middleware of a handler", () => {
+    it("should wait for the 'init()' of the handler before passing the request on", async () => {
+      let initialized = false;
+      const middleware = lifecycle.addHandler({
+        async init() {
+          await new Promise((resolve) => {
+            setTimeout(resolve, 5);
+          });
+          initialized = true;
+        }
+      });
+
+      const {error} = await runMiddleware(middleware);
+
+      expect(error).to.eql(undefined);
+      expect(initialized).to.eql(true);
+    });
+
+    it("should pass the error of a failed 'init()' to the request", async () => {
+      const middleware = lifecycle.addHandler({
+        init() {
+          return Promise.reject(new Error("No database"));
+        }
+      });
+
+      const {error} = await runMiddleware(middleware);
+
+      expect(error.message).to.eql("No database");
+    });
+
+    it("should reject requests with a 503 error once the lifecycle is closing", async () => {
+      const middleware = lifecycle.addHandler({});
+      await lifecycle.close();
+
+      const {error} = await runMiddleware(middleware);
+
+      expect(error).to.include({name: "ValidationError", code: "SERVICE_UNAVAILABLE", status: 503});
+    });
+  });
+
+  describe("close()", () => {
+    it("should wait for the requests in flight, then close the handlers in the reverse order of registration", async () => {
+      const events = [];
+      const first = lifecycle.addHandler({
+        close() {
+          events.push("close first");
+        }
+      });
+      lifecycle.addHandler({
+        async close() {
+          await Promise.resolve();
+          events.push("close second");
+        }
+      });
+      const {res} = await runMiddleware(first);
+
+      const closing = lifecycle.close();
+      await new Promise((resolve) => {
+        setTimeout(resolve, 5);
+      });
+      events.push("request finished");
+      res.emit("finish");
+      res.emit("close");
+      await closing;
+
+      expect(events).to.eql(["request finished", "close second", "close first"]);
+      expect(lifecycle.inFlight).to.eql(0);
+    });
+
+    it("should stop waiting for the requests in flight after the 'timeout'", async () => {
+      const handler = {close: sinon.stub()};
+      await runMiddleware(lifecycle.addHandler(handler));
+
+      await lifecycle.close({timeout: 5});
+
+      expect(handler.close.calledOnce).to.eql(true);
+      expect(logger.warn).to.have.been.calledWith("register: closing with 1 request(s) still in flight after 5ms");
+    });
+
+    it("should close every handler, and reject with the first error", async () => {
+      const handler = {close: sinon.stub()};
+      class FailingHandler {
+        close() {
+          throw new Error("Cannot close");
+        }
+      }
+      lifecycle.addHandler(handler);
+      lifecycle.addHandler(new FailingHandler());
+
+      let error = null;
+      await lifecycle.close().catch((e) => {
+        error = e;
+      });
+
+      expect(error.message).to.eql("Cannot close");
+      expect(handler.close.calledOnce).to.eql(true);
+      expect(logger.error).to.have.been.calledWith("register:close", ["FailingHandler", error]);
+    });
+
+    it("should return the same promise when called again", () => {
+      expect(lifecycle.close()).to.equal(lifecycle.close());
+    });
+  });
+});
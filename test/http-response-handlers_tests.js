@@ -307,6 +307,19 @@ describe("Response Handlers", () => {
       responseHandlers.error(response, _logger)(errs);
     });
 
+    it("should send the error details of a validation error as json", (done) => {
+      const errors = [
+        {path: "body.name", constraint: "required", reason: "REQUIRED", message: "name is required"},
+        {path: "body.age", value: "ten", constraint: "type", reason: "INVALID_TYPE", message: "age should be an integer"}
+      ];
+      response.json = function _json(sent) {
+        expect(sent).to.deep.equal({code: "WRONG_DATA", message: "name is required", errors});
+        done();
+        return this;
+      };
+      responseHandlers.error(response, logger)(new ValidationError("WRONG_DATA", "name is required", 400, errors));
+    });
+
     it("should send error messages as json for several validation errors", (done) => {
       response.json = function _json(sent) {
         expect(sent).to.deep.equal({code: "HI", message: "hello, bye"});
@@ -318,6 +331,96 @@ describe("Response Handlers", () => {
     });
   });
 
+  describe(".configureErrors()", () => {
+    let response = null;
+
+    function createResponse(accept) {
+      return {
+        req: {
+          originalUrl: "/trips/123",
+          accepts(types) {
+            return types.find((type) => {
+              return accept.includes(type);
+            }) ?? types[0];
+          }
+        },
+        status(status) {
+          this.statusCode = status;
+          return this;
+        },
+        set(header, value) {
+          this.headers = {...this.headers, [header]: value};
+          return this;
+        },
+        json(body) {
+          this.body = body;
+          return this;
+        }
+      };
+    }
+
+    beforeEach(() => {
+      response = createResponse("application/json");
+    });
+
+    afterEach(() => {
+      responseHandlers.configureErrors({format: "json"});
+    });
+
+    it("should send the errors as RFC 9457 problem details when the format is \"problem\"", () => {
+      responseHandlers.configureErrors({format: "problem"});
+      const errors = [{path: "body.name", constraint: "required", reason: "REQUIRED", message: "name is required"}];
+
+      responseHandlers.error(response, null)(new ValidationError("WRONG_DATA", "Request body is invalid", 400, errors));
+
+      expect(response.statusCode).to.equal(400);
+      expect(response.headers).to.deep.equal({"Content-Type": "application/problem+json"});
+      expect(response.body).to.deep.equal({
+        type: "about:blank",
+        title: "Bad Request",
+        status: 400,
+        detail: "Request body is invalid",
+        instance: "/trips/123",
+        code: "WRONG_DATA",
+        errors
+      });
+    });
+
+    it("should build the problem type from the 'typeBaseUri' and the code of the error", () => {
+      responseHandlers.configureErrors({format: "problem", typeBaseUri: "https://api.betterez.com/problems/"});
+
+      responseHandlers.error(response, null)(new Error("Something broke"));
+
+      expect(response.statusCode).to.equal(500);
+      expect(response.body).to.deep.equal({
+        type: "https://api.betterez.com/problems/Something%20broke",
+        title: "Internal Server Error",
+        status: 500,
+        detail: "Something broke",
+        instance: "/trips/123",
+        code: "Something broke"
+      });
+    });
+
+    it("should send problem details only to the requests which accept them when the format is \"negotiate\"", () => {
+      responseHandlers.configureErrors({format: "negotiate"});
+      const problemResponse = createResponse("application/problem+json");
+
+      responseHandlers.error(response, null)(new ValidationError("TRIP_NOT_FOUND", "Trip not found", 404));
+      responseHandlers.error(problemResponse, null)(new ValidationError("TRIP_NOT_FOUND", "Trip not found", 404));
+
+      expect(response.body).to.deep.equal({code: "TRIP_NOT_FOUND", message: "Trip not found"});
+      expect(problemResponse.headers["Content-Type"]).to.equal("application/problem+json");
+      expect(problemResponse.body).to.include({title: "Not Found", status: 404, detail: "Trip not found", code: "TRIP_NOT_FOUND"});
+    });
+
+    it("should throw if the options are invalid", () => {
+      expect(() => {
+        return responseHandlers.configureErrors({format: "xml"});
+      }).to.throw("configureErrors() has invalid options.  The 'format' should be one of: json, problem, negotiate");
+    });
+  });
+
   describe(".createError()", () => {
     it("should return an error called with no params", () => {
       expect(responseHandlers.createError()).to.be.instanceof(Error);
@@ -0,0 +1,210 @@
+"use strict";
+
+describe("Key stores", () => {
+  const expect = require("chai").expect;
+  const sinon = require("sinon");
+  const {MemoryStore, RedisStore, IoRedisStore, LegacyRedisStore, isKeyStore, toKeyStore} = require("../lib/key-stores");
+
+  let clock = null;
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe("MemoryStore", () => {
+    let store = null;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+      store = new MemoryStore();
+    });
+
+    it("should only set the key if it is absent", async () => {
+      expect(await store.setIfAbsent("key", "first", 1000)).to.eql(true);
+      expect(await store.setIfAbsent("key", "second", 1000)).to.eql(false);
+      expect(await store.get("key")).to.eql("first");
+    });
+
+    it("should expire keys after their ttl", async () => {
+      await store.setIfAbsent("key", "value", 1000);
+      clock.tick(1000);
+      expect(await store.get("key")).to.eql(null);
+      expect(await store.setIfAbsent("key", "value", 1000)).to.eql(true);
+    });
+
+    it("should extend the ttl of existing keys only", async () => {
+      await store.setIfAbsent("key", "value", 1000);
+      clock.tick(900);
+      expect(await store.extend("key", 1000)).to.eql(true);
+      clock.tick(900);
+      expect(await store.get("key")).to.eql("value");
+      expect(await store.extend("missing", 1000)).to.eql(false);
+    });
+
+    it("should only extend or delete a key that holds the expected value", async () => {
+      await store.setIfAbsent("key", "owner-1", 1000);
+      expect(await store.extend("key", 1000, "owner-2")).to.eql(false);
+      expect(await store.delete("key", "owner-2")).to.eql(false);
+      expect(await store.extend("key", 1000, "owner-1")).to.eql(true);
+      expect(await store.delete("key", "owner-1")).to.eql(true);
+    });
+
+    it("should overwrite keys with set()", async () => {
+      await store.setIfAbsent("key", "value", 1000);
+      await store.set("key", "other", 1000);
+      expect(await store.get("key")).to.eql("other");
+    });
+
+    it("should increment counters that expire after the ttl given when they are created", async () => {
+      expect(await store.increment("counter", 1000)).to.eql({count: 1, ttl: 1000});
+      clock.tick(400);
+      expect(await store.increment("counter", 1000)).to.eql({count: 2, ttl: 600});
+      clock.tick(600);
+      expect(await store.increment("counter", 1000)).to.eql({count: 1, ttl: 1000});
+    });
+
+    it("should take tokens from a bucket that refills over time", async () => {
+      expect(await store.takeToken("bucket", 2, 500)).to.eql({allowed: true, tokens: 1});
+      expect(await store.takeToken("bucket", 2, 500)).to.eql({allowed: true, tokens: 0});
+      expect(await store.takeToken("bucket", 2, 500)).to.eql({allowed: false, tokens: 0});
+      clock.tick(500);
+      expect(await store.takeToken("bucket", 2, 500)).to.eql({allowed: true, tokens: 0});
+    });
+
+    it("should delete keys", async () => {
+      await store.setIfAbsent("key", "value", 1000);
+      expect(await store.delete("key")).to.eql(true);
+      expect(await store.delete("key")).to.eql(false);
+      expect(await store.get("key")).to.eql(null);
+    });
+  });
+
+  describe("RedisStore", () => {
+    it("should send the node-redis v4 commands", async () => {
+      const client = {
+        get: sinon.stub().resolves("value"),
+        set: sinon.stub().resolves("OK"),
+        pExpire: sinon.stub().resolves(true),
+        del: sinon.stub().resolves(1)
+      };
+      const store = new RedisStore(client);
+
+      expect(await store.get("key")).to.eql("value");
+      expect(await store.setIfAbsent("key", "value", 1000)).to.eql(true);
+      expect(client.set.firstCall.args).to.eql(["key", "value", {NX: true, PX: 1000}]);
+      await store.set("key", "value", 1000);
+      expect(client.set.secondCall.args).to.eql(["key", "value", {PX: 1000}]);
+      expect(await store.extend("key", 1000)).to.eql(true);
+      expect(await store.delete("key")).to.eql(true);
+    });
+
+    it("should use a script to extend or delete a key that holds the expected value", async () => {
+      const client = {eval: sinon.stub().resolves(1)};
+      const store = new RedisStore(client);
+
+      expect(await store.extend("key", 1000, "owner-1")).to.eql(true);
+      expect(client.eval.firstCall.args[1]).to.eql({keys: ["key"], arguments: ["owner-1", "1000"]});
+      expect(await store.delete("key", "owner-1")).to.eql(true);
+      expect(client.eval.secondCall.args[1]).to.eql({keys: ["key"], arguments: ["owner-1"]});
+    });
+
+    it("should use scripts for the rate limiting operations", async () => {
+      const client = {eval: sinon.stub()};
+      client.eval.onFirstCall().resolves([1, 1000]);
+      client.eval.onSecondCall().resolves([0, "0.5"]);
+      const store = new RedisStore(client);
+
+      expect(await store.increment("counter", 1000)).to.eql({count: 1, ttl: 1000});
+      expect(client.eval.firstCall.args[1]).to.eql({keys: ["counter"], arguments: ["1000"]});
+      expect(await store.takeToken("bucket", 2, 500)).to.eql({allowed: false, tokens: 0.5});
+      expect(client.eval.secondCall.args[1].arguments.slice(0, 2)).to.eql(["2", "500"]);
+    });
+
+    it("should return false when the key already exists", async () => {
+      const store = new RedisStore({set: sinon.stub().resolves(null)});
+      expect(await store.setIfAbsent("key", "value", 1000)).to.eql(false);
+    });
+  });
+
+  describe("IoRedisStore", () => {
+    it("should send the ioredis commands", async () => {
+      const client = {
+        get: sinon.stub().resolves(null),
+        set: sinon.stub().resolves("OK"),
+        pexpire: sinon.stub().resolves(0),
+        del: sinon.stub().resolves(0)
+      };
+      const store = new IoRedisStore(client);
+
+      expect(await store.get("key")).to.eql(null);
+      expect(await store.setIfAbsent("key", "value", 1000)).to.eql(true);
+      expect(client.set.firstCall.args).to.eql(["key", "value", "PX", 1000, "NX"]);
+      expect(await store.extend("key", 1000)).to.eql(false);
+      expect(await store.delete("key")).to.eql(false);
+    });
+  });
+
+  describe("LegacyRedisStore", () => {
+    it("should call the node-redis v3 commands with a callback", async () => {
+      const client = {
+        get: sinon.stub().yields(null, "value"),
+        set: sinon.stub().yields(null, "OK"),
+        pexpire: sinon.stub().yields(null, 1),
+        del: sinon.stub().yields(null, 1)
+      };
+      const store = new LegacyRedisStore(client);
+
+      expect(await store.get("key")).to.eql("value");
+      expect(await store.setIfAbsent("key", "value", 1000)).to.eql(true);
+      expect(client.set.firstCall.args.slice(0, -1)).to.eql(["key", "value", "NX", "PX", 1000]);
+      expect(await store.extend("key", 1000)).to.eql(true);
+      expect(await store.delete("key")).to.eql(true);
+    });
+
+    it("should reject when the client returns an error", async () => {
+      const store = new LegacyRedisStore({get: sinon.stub().yields(new Error("Connection lost"))});
+      let error = null;
+      try {
+        await store.get("key");
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.eql("Connection lost");
+    });
+  });
+
+  describe("toKeyStore()", () => {
+    it("should return stores unchanged", () => {
+      const store = new MemoryStore();
+      expect(isKeyStore(store)).to.eql(true);
+      expect(toKeyStore(store)).to.equal(store);
+    });
+
+    it("should accept stores which have no set(), since it is only needed in idempotency mode", () => {
+      const store = {get: sinon.stub(), setIfAbsent: sinon.stub(), extend: sinon.stub(), delete: sinon.stub()};
+      expect(isKeyStore(store)).to.eql(true);
+      expect(toKeyStore(store)).to.equal(store);
+    });
+
+    it("should wrap node-redis v3 clients in a LegacyRedisStore", () => {
+      const client = {"send_command": sinon.stub(), get: sinon.stub(), set: sinon.stub(), del: sinon.stub()};
+      expect(isKeyStore(client)).to.eql(false);
+      expect(toKeyStore(client)).to.be.an.instanceof(LegacyRedisStore);
+    });
+
+    it("should wrap other clients with callback style get() and set() in a LegacyRedisStore", () => {
+      const client = {get: sinon.stub(), set: sinon.stub(), del: sinon.stub(), pexpire: sinon.stub()};
+      expect(toKeyStore(client)).to.be.an.instanceof(LegacyRedisStore);
+    });
+
+    it("should throw for objects which are neither a store nor a callback style client", () => {
+      const redisV4Client = {sendCommand: sinon.stub(), get: sinon.stub(), set: sinon.stub(), del: sinon.stub()};
+      expect(() => {
+        return toKeyStore(redisV4Client, "ExpiringKeys");
+      }).to.throw("ExpiringKeys has an invalid store.  The store should be one of the 'keyStores'");
+      expect(() => {
+        return toKeyStore({get: sinon.stub(), setIfAbsent: sinon.stub(), delete: sinon.stub()}, "RateLimiter");
+      }).to.throw("RateLimiter has an invalid store.");
+    });
+  });
+});
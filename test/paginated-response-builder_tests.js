@@ -94,4 +94,120 @@ describe("Paginated Response Builder", () => {
       });
     });
   });
+
+  describe("#parsePagingQuery()", () => {
+    it("should return the defaults when the query has no paging params", () => {
+      expect(PaginatedResponseBuilder.parsePagingQuery({})).to.deep.equal({page: 1, pageSize: 20, skip: 0, limit: 20});
+    });
+
+    it("should parse the page and pageSize and compute skip and limit", () => {
+      const result = PaginatedResponseBuilder.parsePagingQuery({page: "3", pageSize: "10"});
+      expect(result).to.deep.equal({page: 3, pageSize: 10, skip: 20, limit: 10});
+    });
+
+    it("should use the configured default page size", () => {
+      const result = PaginatedResponseBuilder.parsePagingQuery({page: "2"}, {defaultPageSize: 50});
+      expect(result).to.deep.equal({page: 2, pageSize: 50, skip: 50, limit: 50});
+    });
+
+    it("should throw a ValidationError when the page is not a positive integer", () => {
+      ["0", "-1", "1.5", "abc"].forEach((page) => {
+        expect(() => {
+          return PaginatedResponseBuilder.parsePagingQuery({page});
+        }).to.throw("page should be a positive integer")
+          .with.property("code", "INVALID_PAGE");
+      });
+    });
+
+    it("should throw a ValidationError when the pageSize is greater than the maximum", () => {
+      expect(() => {
+        return PaginatedResponseBuilder.parsePagingQuery({pageSize: "51"}, {maxPageSize: 50});
+      }).to.throw("pageSize should not be greater than 50")
+        .with.property("code", "INVALID_PAGE_SIZE");
+    });
+  });
+
+  describe("#getPagingParameters()", () => {
+    it("should return the query parameters with the configured default and maximum", () => {
+      const [page, pageSize] = PaginatedResponseBuilder.getPagingParameters({defaultPageSize: 10, maxPageSize: 50});
+      expect(page).to.include({in: "query", name: "page", type: "integer", minimum: 1, default: 1});
+      expect(pageSize).to.include({in: "query", name: "pageSize", type: "integer", minimum: 1, maximum: 50, default: 10});
+    });
+  });
+
+  describe("cursor pagination", () => {
+    const url = "http://localhost:3010/inventory/tickets";
+    const secret = "cursor-secret";
+    const sortKeys = ["createdAt", "_id"];
+    const items = [
+      {_id: "1", createdAt: "2020-01-01"},
+      {_id: "2", createdAt: "2020-01-02"}
+    ];
+
+    it("should encode the sort keys of an item in a cursor that can be decoded", () => {
+      const cursor = PaginatedResponseBuilder.encodeCursor({_id: "1", createdAt: "2020-01-01", name: "A"}, sortKeys, secret);
+      expect(PaginatedResponseBuilder.decodeCursor(cursor, secret)).to.deep.equal({
+        values: {createdAt: "2020-01-01", _id: "1"},
+        direction: "next"
+      });
+    });
+
+    it("should throw a ValidationError when the cursor was tampered with", () => {
+      const cursor = PaginatedResponseBuilder.encodeCursor(items[0], sortKeys, secret);
+      const forged = Buffer.from(JSON.stringify({values: {createdAt: "2000-01-01", _id: "0"}, direction: "next"}))
+        .toString("base64url");
+      const query = {cursor: `${forged}.${cursor.split(".")[1]}`};
+      expect(() => {
+        return PaginatedResponseBuilder.parseCursor(query, secret);
+      }).to.throw("The cursor is invalid");
+      expect(() => {
+        return PaginatedResponseBuilder.parseCursor({cursor}, "other-secret");
+      }).to.throw("The cursor is invalid");
+    });
+
+    it("should return null when there is no cursor in the query", () => {
+      expect(PaginatedResponseBuilder.parseCursor({filter: "one"}, secret)).to.eql(null);
+    });
+
+    it("should throw when no secret is given", () => {
+      expect(() => {
+        return PaginatedResponseBuilder.encodeCursor(items[0], sortKeys);
+      }).to.throw("PaginatedResponseBuilder needs a 'secret' to sign and verify cursors.");
+    });
+
+    it("should only build the next url from the first page", () => {
+      const query = {filter: "two three"};
+      const result = PaginatedResponseBuilder.buildCursorResponse({tickets: items}, query, items, {
+        baseUrl: url, secret, sortKeys, hasMore: true
+      });
+      const cursor = PaginatedResponseBuilder.encodeCursor(items[1], sortKeys, secret, "next");
+      expect(result).to.deep.equal({
+        tickets: items,
+        next: `${url}?cursor=${cursor}&filter=two%20three`,
+        previous: ""
+      });
+    });
+
+    it("should build the previous url and no next url from the last page", () => {
+      const query = {cursor: PaginatedResponseBuilder.encodeCursor({_id: "0", createdAt: "2019-12-31"}, sortKeys, secret)};
+      const result = PaginatedResponseBuilder.getCursorUrls(url, query, items, {secret, sortKeys, hasMore: false});
+      const cursor = PaginatedResponseBuilder.encodeCursor(items[0], sortKeys, secret, "previous");
+      expect(result).to.deep.equal({
+        next: "",
+        previous: `${url}?cursor=${cursor}`
+      });
+    });
+
+    it("should build the next url when going back, and the previous url only when there are more results", () => {
+      const query = {cursor: PaginatedResponseBuilder.encodeCursor({_id: "3"}, sortKeys, secret, "previous")};
+      const result = PaginatedResponseBuilder.getCursorUrls(url, query, items, {secret, sortKeys, hasMore: false});
+      expect(result.next).to.eql(`${url}?cursor=${PaginatedResponseBuilder.encodeCursor(items[1], sortKeys, secret)}`);
+      expect(result.previous).to.eql("");
+    });
+
+    it("should not build urls when the page is empty", () => {
+      const result = PaginatedResponseBuilder.getCursorUrls(url, {}, [], {secret, sortKeys, hasMore: false});
+      expect(result).to.deep.equal({next: "", previous: ""});
+    });
+  });
 });
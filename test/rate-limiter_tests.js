@@ -0,0 +1,115 @@
+"use strict";
+
+describe("RateLimiter", () => {
+  const expect = require("chai").expect;
+  const sinon = require("sinon");
+  const express = require("express");
+  const request = require("supertest");
+  const RateLimiter = require("../lib/rate-limiter");
+  const {MemoryStore} = require("../lib/key-stores");
+
+  let store = null;
+  let rateLimiter = null;
+
+  function createApp(opts) {
+    const app = express();
+    app.get("/trips", rateLimiter.middleWare(opts), (req, res) => {
+      res.json({trips: []});
+    });
+    return app;
+  }
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    rateLimiter = new RateLimiter(store);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe("fixed-window", () => {
+    it("should allow 'limit' requests per window and set the RateLimit headers", async () => {
+      const app = createApp({lookup: "headers.x-api-key", limit: 2, window: 60000});
+
+      const response = await request(app).get("/trips")
+        .set("X-API-KEY", "key-1")
+        .expect(200);
+
+      expect(response.headers["ratelimit-limit"]).to.eql("2");
+      expect(response.headers["ratelimit-remaining"]).to.eql("1");
+      expect(response.headers["ratelimit-reset"]).to.eql("60");
+      expect(response.headers["ratelimit-policy"]).to.eql("2;w=60");
+    });
+
+    it("should respond with 429 and Retry-After once the limit is reached", async () => {
+      const app = createApp({lookup: "headers.x-api-key", limit: 2, window: 60000});
+
+      await request(app).get("/trips")
+        .set("X-API-KEY", "key-1")
+        .expect(200);
+      await request(app).get("/trips")
+        .set("X-API-KEY", "key-1")
+        .expect(200);
+      const response = await request(app).get("/trips")
+        .set("X-API-KEY", "key-1")
+        .expect(429, {code: "TOO_MANY_REQUESTS", message: "Too many requests, please try again later"});
+
+      expect(response.headers["ratelimit-remaining"]).to.eql("0");
+      expect(response.headers["retry-after"]).to.eql("60");
+    });
+
+    it("should count each lookup value separately", async () => {
+      const app = createApp({lookup: "headers.x-api-key", limit: 1, window: 60000});
+
+      await request(app).get("/trips")
+        .set("X-API-KEY", "key-1")
+        .expect(200);
+      await request(app).get("/trips")
+        .set("X-API-KEY", "key-2")
+        .expect(200);
+    });
+  });
+
+  describe("token-bucket", () => {
+    it("should allow a burst of 'limit' requests and ask to retry when the next token is available", async () => {
+      const app = createApp({lookup: "headers.x-api-key", algorithm: "token-bucket", limit: 2, window: 4000});
+
+      await request(app).get("/trips")
+        .set("X-API-KEY", "key-1")
+        .expect(200);
+      await request(app).get("/trips")
+        .set("X-API-KEY", "key-1")
+        .expect(200);
+      const response = await request(app).get("/trips")
+        .set("X-API-KEY", "key-1")
+        .expect(429);
+
+      expect(response.headers["retry-after"]).to.eql("2");
+    });
+  });
+
+  it("should let requests through when the store fails, and log the error", async () => {
+    const logger = {error: sinon.spy()};
+    rateLimiter = new RateLimiter(store, {logger});
+    sinon.stub(store, "increment").rejects(new Error("Connection lost"));
+
+    await request(createApp({lookup: "headers.x-api-key", limit: 1, window: 60000})).get("/trips")
+      .set("X-API-KEY", "key-1")
+      .expect(200);
+
+    expect(logger.error.firstCall.args[0]).to.eql("rate-limiter:error");
+  });
+
+  it("should throw when the algorithm is not recognized", () => {
+    expect(() => {
+      return rateLimiter.middleWare({algorithm: "sliding-log", limit: 1, window: 1000});
+    }).to.throw("RateLimiter has an invalid 'algorithm' \"sliding-log\".  The algorithm should be one of: fixed-window, token-bucket.");
+  });
+
+  it("should throw when the limit is not a positive integer", () => {
+    expect(() => {
+      return rateLimiter.middleWare({limit: 0, window: 1000});
+    }).to.throw("RateLimiter has an invalid 'limit'.  The 'limit' should be a positive integer.");
+  });
+});
@@ -12,9 +12,9 @@ const request = require("supertest");
 const {Authenticator, authPolicy, audiences} = require("btrz-auth-api-key");
 const {SimpleDao} = require("btrz-simple-dao");
 const swaggerFactory = require("btrz-swagger-express");
-const {registerModules} = require("../index.js");
-const {attachHandlerToExpressServer} = require("../lib/register");
-const {ValidationError} = require("../index");
+const {registerModules, registerModulesAsync} = require("../index.js");
+const {attachHandlerToExpressServer, attachHandlerToExpressServerAsync} = require("../lib/register");
+const {ValidationError, keyStores} = require("../index");
 
 chai.use(sinonChai);
 
@@ -37,6 +37,208 @@ describe("register()", () => {
       }
     });
   });
+
+  it("should register the handlers of nested resources in order, skipping the modules which have no 'Handler' export", () => {
+    const registered = [];
+    const logger = {debug: sinon.stub(), error: sinon.stub()};
+    const swagger = {addModels: sinon.stub()};
+
+    registerModules(`${__dirname}/test-register/discovery`, {
+      logger,
+      swagger,
+      registered,
+      discovery: {exclude: "**/legacy/**"}
+    });
+
+    expect(registered).to.eql(["get-user", "get-ticket", "list-tickets"]);
+    expect(logger.debug).to.have.been.calledWith(sinon.match("helpers/format.js was skipped because it has no 'Handler' export"));
+    expect(swagger.addModels).to.have.been.calledWith({models: {User: {}}});
+  });
+
+  it("should fail when two resources define the same model differently and 'onCollision' is \"fail\"", () => {
+    const logger = {debug: sinon.stub(), error: sinon.stub()};
+
+    expect(() => registerModules(`${__dirname}/test-register/collisions`, {
+      logger,
+      swagger: {addModels: sinon.stub()},
+      onCollision: "fail"
+    })).to.throw(/The model "Station" is defined differently by .*stations\/models and .*trips\/models/);
+  });
+
+  it("should prefix the paths of versioned handlers and add them to the swagger document of their version", () => {
+    const logger = {debug: sinon.stub(), error: sinon.stub()};
+    const authenticator = {getMiddlewareForAuthPolicy: () => (req, res, next) => next()};
+    const swagger = {addGet: sinon.stub(), addModels: sinon.stub()};
+    const swaggerV1 = {addGet: sinon.stub(), addModels: sinon.stub()};
+
+    const {routes} = registerModules(`${__dirname}/test-register/versioned`, {
+      logger,
+      authenticator,
+      swagger,
+      versioning: {
+        versions: {
+          v1: {swagger: swaggerV1, deprecated: true},
+          v2: {}
+        }
+      }
+    });
+
+    expect(routes.map(route => `${route.version} ${route.path}`)).to.eql([
+      "v1 /v1/trips/{tripId}",
+      "v2 /v2/trips/{tripId}",
+      "v2 /v2/stations"
+    ]);
+    expect(swaggerV1.addGet.firstCall.args[0].spec).to.include({path: "/v1/trips/{tripId}", deprecated: true});
+    expect(swagger.addGet).to.have.been.calledTwice;
+    expect(swagger.addModels).to.have.been.calledWith({models: {Trip: {}, Station: {}}});
+    expect(swaggerV1.addModels).to.have.been.calledWith({models: {Trip: {}}});
+  });
+
+  it("should not add a handler whose route collides with another one when 'onCollision' is \"fail\"", () => {
+    const logger = {debug: sinon.stub(), error: sinon.stub()};
+    const authenticator = {getMiddlewareForAuthPolicy: () => (req, res, next) => next()};
+    const swagger = {addGet: sinon.stub(), addModels: sinon.stub()};
+    const onHandlerError = sinon.stub();
+
+    const {routes} = registerModules(`${__dirname}/test-register/duplicate-routes`, {
+      logger,
+      authenticator,
+      swagger,
+      onCollision: "fail",
+      onHandlerError
+    });
+
+    expect(swagger.addGet).to.have.been.calledOnce;
+    expect(swagger.addGet.firstCall.args[0].spec.nickname).to.eql("getTripById");
+    expect(routes.map(route => route.nickname)).to.eql(["getTripById"]);
+    expect(onHandlerError.firstCall.args[0].message).to.match(/^The route "GET \/trips\/\{tripId\}" is declared by both/);
+    expect(onHandlerError.firstCall.args[1]).to.match(/duplicate-routes\/trips\/handlers\/get-trip\.js$/);
+  });
+
+  it("should fail when two versions added to the same swagger document define the same model differently", () => {
+    const logger = {debug: sinon.stub(), error: sinon.stub()};
+
+    expect(() => registerModules(`${__dirname}/test-register/versioned-collisions`, {
+      logger,
+      swagger: {addModels: sinon.stub()},
+      versioning: {versions: {v1: {}, v2: {}}},
+      onCollision: "fail"
+    })).to.throw(/The model "Trip" is defined differently by .*v1\/trips\/models and .*v2\/trips\/models/);
+  });
+
+  it("should allow versions which have their own swagger document to define the same model differently", () => {
+    const logger = {debug: sinon.stub(), error: sinon.stub()};
+    const swagger = {addModels: sinon.stub()};
+    const swaggerV1 = {addModels: sinon.stub()};
+
+    registerModules(`${__dirname}/test-register/versioned-collisions`, {
+      logger,
+      swagger,
+      versioning: {versions: {v1: {swagger: swaggerV1}, v2: {}}},
+      onCollision: "fail"
+    });
+
+    expect(swaggerV1.addModels).to.have.been.calledWith({models: {Trip: {properties: {id: {type: "string"}}}}});
+    expect(swagger.addModels).to.have.been.calledWith({models: {Trip: {properties: {id: {type: "number"}}}}});
+  });
+
+  it("should throw when the models are in the folder of a version which is not in 'versioning.versions'", () => {
+    const logger = {debug: sinon.stub(), error: sinon.stub()};
+
+    expect(() => registerModules(`${__dirname}/test-register/versioned-collisions`, {
+      logger,
+      swagger: {addModels: sinon.stub()},
+      versioning: {versions: {v1: {}}}
+    })).to.throw(/v2\/trips\/models belongs to version 'v2', which is not in the 'versioning.versions' given to register\(\)/);
+  });
+
+  it("should serve the HEAD and OPTIONS routes with the Express 'app' when the swagger document can't add them", async () => {
+    const logger = {debug: sinon.stub(), error: sinon.stub(), warn: sinon.stub()};
+    const authenticator = {getMiddlewareForAuthPolicy: () => (req, res, next) => next()};
+    const app = express();
+    const swagger = {
+      addGet: sinon.spy(({spec, action}) => app.get(spec.path, action)),
+      addPost: sinon.spy(({spec, action}) => app.post(spec.path, action)),
+      addModels: sinon.stub()
+    };
+
+    registerModules(`${__dirname}/test-register/cors`, {logger, authenticator, swagger, app});
+
+    await request(app).head("/trips")
+      .expect(200);
+    await request(app).options("/trips")
+      .expect(204)
+      .expect("Allow", "GET, HEAD, POST, OPTIONS");
+    expect(logger.warn).to.have.been.calledWith(sinon.match("were added to the Express 'app', but not to the swagger document"));
+  });
+
+  it("should return a 'ready' promise which resolves once every handler's 'init()' has finished, and a 'close()' function", async () => {
+    const events = [];
+    const logger = {debug: sinon.stub(), error: sinon.stub()};
+    const authenticator = {getMiddlewareForAuthPolicy: () => (req, res, next) => next()};
+
+    const {ready, close} = registerModules(`${__dirname}/test-register/lifecycle`, {
+      logger,
+      authenticator,
+      events,
+      swagger: {addGet: sinon.stub(), addModels: sinon.stub()}
+    });
+
+    expect(events).to.eql([]);
+    await ready;
+    expect(events).to.eql(["init"]);
+    await close();
+    expect(events).to.eql(["init", "close"]);
+  });
+
+  it("should add a HEAD route for every GET and an OPTIONS route for every path to the swagger document", () => {
+    const logger = {debug: sinon.stub(), error: sinon.stub()};
+    const authenticator = {getMiddlewareForAuthPolicy: () => (req, res, next) => next()};
+    const swagger = {
+      addGet: sinon.stub(),
+      addPost: sinon.stub(),
+      addHead: sinon.stub(),
+      addOptions: sinon.stub(),
+      addModels: sinon.stub()
+    };
+
+    registerModules(`${__dirname}/test-register/cors`, {logger, authenticator, swagger});
+
+    expect(swagger.addHead.firstCall.args[0].spec).to.include({path: "/trips", method: "HEAD", nickname: "getTripsHead"});
+    expect(swagger.addHead.firstCall.args[0].action).to.equal(swagger.addGet.firstCall.args[0].action);
+    expect(swagger.addOptions.firstCall.args[0].spec).to.include({path: "/trips", method: "OPTIONS", nickname: "optionsTrips"});
+  });
+});
+
+describe("registerModulesAsync()", () => {
+  it("should register ES module and CommonJS handlers, using their named or default exports", async () => {
+    const registered = [];
+    const logger = {debug: sinon.stub(), error: sinon.stub()};
+    const swagger = {addModels: sinon.stub()};
+
+    await registerModulesAsync(`${__dirname}/test-register/esm`, {logger, swagger, registered});
+
+    expect(registered).to.eql(["get-ticket", "list-tickets", "update-ticket"]);
+    expect(logger.debug).to.have.been.calledWith(sinon.match("helpers/format.mjs was skipped because it has no 'Handler' export"));
+    expect(swagger.addModels).to.have.been.calledWith({models: {Ticket: {}}});
+  });
+
+  it("should resolve once every handler's 'init()' has finished", async () => {
+    const events = [];
+    const logger = {debug: sinon.stub(), error: sinon.stub()};
+    const authenticator = {getMiddlewareForAuthPolicy: () => (req, res, next) => next()};
+
+    const {close} = await registerModulesAsync(`${__dirname}/test-register/lifecycle`, {
+      logger,
+      authenticator,
+      events,
+      swagger: {addGet: sinon.stub(), addModels: sinon.stub()}
+    });
+
+    expect(events).to.eql(["init"]);
+    await close();
+    expect(events).to.eql(["init", "close"]);
+  });
 });
 
 describe("attachHandlerToExpressServer()", () => {
@@ -67,6 +269,7 @@ describe("attachHandlerToExpressServer()", () => {
     password: chance.hash(),
     deleted: false
   };
+  const anotherUser = {...user, _id: SimpleDao.objectId(), name: "Another"};
   const apiKey = chance.guid();
   const privateKey = chance.guid();
   const application = {accountId: SimpleDao.objectId().toString(), key: apiKey, privateKey, userId: user._id.toString()};
@@ -117,7 +320,7 @@ describe("attachHandlerToExpressServer()", () => {
 
     await Promise.all([
       db.collection(authenticatorConfig.collection.name).insert(application),
-      db.collection("users").insert(user)
+      db.collection("users").insert([user, anotherUser])
     ]);
   });
 
@@ -246,6 +449,37 @@ describe("attachHandlerToExpressServer()", () => {
         );
     });
 
+    it("should throw an error if the handler class' getSpec() method is asynchronous", () => {
+      class HandlerClass {
+        getSpec = sinon.stub().resolves(handlerSpec);
+        configuration = sinon.stub().returns(handlerConfiguration);
+        handler = sinon.stub();
+      }
+
+      expect(() => attachHandlerToExpressServer(HandlerClass, models, dependencies))
+        .to.throw(
+          "HandlerClass has an asynchronous 'getSpec()' function.  " +
+          "Handlers which build their spec or configuration asynchronously must be registered with 'registerModulesAsync()'."
+        );
+    });
+
+    it("should allow the handler class' getSpec() and configuration() methods to be asynchronous when registering asynchronously", async () => {
+      class HandlerClass {
+        getSpec = sinon.stub().resolves(handlerSpec);
+        configuration = sinon.stub().resolves(handlerConfiguration);
+        handler = sinon.stub().returns({someProperty: "ABC"});
+      }
+
+      await attachHandlerToExpressServerAsync(HandlerClass, models, dependencies);
+
+      await request(expressApp)
+        .post(handlerSpec.path)
+        .set("X-API-KEY", apiKey)
+        .set("Authorization", `Bearer ${jwtToken}`)
+        .send({someProperty: "ABC"})
+        .expect(200);
+    });
+
     it("should throw an error if the handler class has no configuration() method", () => {
       class HandlerClass {
         getSpec = sinon.stub().returns(handlerSpec);
@@ -405,16 +639,80 @@ describe("attachHandlerToExpressServer()", () => {
 
       attachHandlerToExpressServer(HandlerClass, models, dependencies);
 
-      await request(expressApp)
+      const response = await request(expressApp)
         .post(handlerSpec.path)
         .set("X-API-KEY", apiKey)
         .set("Authorization", `Bearer ${jwtToken}`)
         .send({}) // Request body is an empty object.  The handler spec doesn't allow this
-        .expect(400)
-        .expect({
-          code: "WRONG_DATA",
-          message: "Request body is invalid: someProperty is required but is missing"
-        });
+        .expect(400);
+
+      expect(response.body.code).to.eql("WRONG_DATA");
+      expect(response.body.message).to.eql("Request body is invalid: someProperty is required but is missing");
+      expect(response.body.errors).to.have.lengthOf(1);
+      expect(response.body.errors[0]).to.include({message: "Request body is invalid: someProperty is required but is missing"});
+    });
+
+    it("should return every validation error, with the details of each error", async () => {
+      handlerSpec.parameters[0].schema.properties.someNumber = {type: "integer"};
+
+      class HandlerClass {
+        getSpec = sinon.stub().returns(handlerSpec);
+        configuration = sinon.stub().returns(handlerConfiguration);
+        handler = sinon.stub();
+      }
+
+      attachHandlerToExpressServer(HandlerClass, models, dependencies);
+
+      const response = await request(expressApp)
+        .post(handlerSpec.path)
+        .set("X-API-KEY", apiKey)
+        .set("Authorization", `Bearer ${jwtToken}`)
+        .send({someNumber: "ABC"}) // someProperty is missing, and someNumber is not an integer
+        .expect(400);
+
+      expect(response.body.errors).to.have.lengthOf(2);
+      expect(response.body.errors.find(error => error.constraint === "required")).to.eql({
+        path: "body.someProperty",
+        constraint: "required",
+        reason: "REQUIRED",
+        message: "Request body is invalid: someProperty is required but is missing"
+      });
+      expect(response.body.errors.find(error => error.constraint === "type")).to.include({
+        path: "body.someNumber",
+        value: "ABC",
+        constraint: "type",
+        reason: "INVALID_TYPE"
+      });
+    });
+
+    it("should only report the 'pattern' constraint when the value does not match the pattern", async () => {
+      handlerSpec.parameters[0].schema.properties.code = {type: "string", pattern: "^[A-Z]{3}$"};
+      handlerSpec.parameters[0].schema.properties.patterns = {type: "array", items: {type: "string"}, uniqueItems: true};
+
+      class HandlerClass {
+        getSpec = sinon.stub().returns(handlerSpec);
+        configuration = sinon.stub().returns(handlerConfiguration);
+        handler = sinon.stub();
+      }
+
+      attachHandlerToExpressServer(HandlerClass, models, dependencies);
+
+      const response = await request(expressApp)
+        .post(handlerSpec.path)
+        .set("X-API-KEY", apiKey)
+        .set("Authorization", `Bearer ${jwtToken}`)
+        .send({someProperty: "value", code: "abc", patterns: ["a", "a"]})
+        .expect(400);
+
+      expect(response.body.errors.find(error => error.path === "body.code")).to.include({
+        value: "abc",
+        constraint: "pattern",
+        reason: "PATTERN_MISMATCH"
+      });
+      expect(response.body.errors.find(error => error.path === "body.patterns")).to.include({
+        constraint: "uniqueItems",
+        reason: "NOT_UNIQUE"
+      });
     });
 
     it("should log when the incoming request failed validation against the OpenAPI spec", async () => {
@@ -528,16 +826,15 @@ describe("attachHandlerToExpressServer()", () => {
 
       attachHandlerToExpressServer(HandlerClass, models, dependencies);
 
-      await request(expressApp)
+      const response = await request(expressApp)
         .post(handlerSpec.path)
         .set("X-API-KEY", apiKey)
         .set("Authorization", `Bearer ${jwtToken}`)
         .send({}) // Request body is an empty object.  The handler spec doesn't allow this
-        .expect(400)
-        .expect({
-          code: "WRONG_DATA",
-          message: "someProperty is required"
-        });
+        .expect(400);
+
+      expect(response.body.code).to.eql("WRONG_DATA");
+      expect(response.body.message).to.eql("someProperty is required");
     });
 
     it("should throw an error if the 'validationSettings' in the handler configuration is not an object", () => {
@@ -621,6 +918,30 @@ describe("attachHandlerToExpressServer()", () => {
       expect(handler).not.to.have.been.called;
     });
 
+    it("should log the error yielded by the custom middleware with the 'logger' dependency", async () => {
+      const middlewareError = new Error("Some error from middleware");
+      handlerConfiguration.middleware = [
+        sinon.stub().yields(middlewareError)
+      ];
+
+      class HandlerClass {
+        getSpec = sinon.stub().returns(handlerSpec);
+        configuration = sinon.stub().returns(handlerConfiguration);
+        handler = sinon.stub();
+      }
+
+      attachHandlerToExpressServer(HandlerClass, models, dependencies);
+
+      await request(expressApp)
+        .post(handlerSpec.path)
+        .set("X-API-KEY", apiKey)
+        .set("Authorization", `Bearer ${jwtToken}`)
+        .send({someProperty: "ABC"})
+        .expect(500);
+
+      expect(mockLogger.fatal).to.have.been.calledOnceWithExactly("ERROR ON http-response-handlers.error", middlewareError);
+    });
+
     it("should throw an error if the 'middleware' in the handler configuration is not an array", () => {
       handlerConfiguration.middleware = sinon.stub();
 
@@ -652,13 +973,14 @@ describe("attachHandlerToExpressServer()", () => {
         );
     });
 
-    it("should allow the handler to set the HTTP response code", async () => {
+    it("should rate limit requests using the 'rateLimit' in the handler configuration", async () => {
+      dependencies.keyStore = new keyStores.MemoryStore();
+      handlerConfiguration.rateLimit = {lookup: "headers.x-api-key", limit: 1, window: 60000};
+
       class HandlerClass {
         getSpec = sinon.stub().returns(handlerSpec);
         configuration = sinon.stub().returns(handlerConfiguration);
-        handler = (req, res) => {
-          res.status(304);
-        };
+        handler = sinon.stub();
       }
 
       attachHandlerToExpressServer(HandlerClass, models, dependencies);
@@ -667,70 +989,145 @@ describe("attachHandlerToExpressServer()", () => {
         .post(handlerSpec.path)
         .set("X-API-KEY", apiKey)
         .set("Authorization", `Bearer ${jwtToken}`)
-        .send({someProperty: 'ABC'})
-        .expect(304);
+        .send({someProperty: "ABC"})
+        .expect(200)
+        .expect("RateLimit-Limit", "1")
+        .expect("RateLimit-Remaining", "0");
+
+      await request(expressApp)
+        .post(handlerSpec.path)
+        .set("X-API-KEY", apiKey)
+        .set("Authorization", `Bearer ${jwtToken}`)
+        .send({someProperty: "ABC"})
+        .expect(429)
+        .expect("Retry-After", "60")
+        .expect({
+          code: "TOO_MANY_REQUESTS",
+          message: "Too many requests, please try again later"
+        });
     });
 
-    it("should allow the handler to send content that is not JSON", async () => {
+    it("should count the rate limit per route, whatever the values of the path parameters", async () => {
+      dependencies.keyStore = new keyStores.MemoryStore();
+      handlerConfiguration.rateLimit = {lookup: "headers.x-api-key", limit: 1, window: 60000};
+      handlerSpec.path = "/trips/{tripId}";
+      handlerSpec.parameters.push({in: "path", name: "tripId", type: "string", required: true});
+
       class HandlerClass {
         getSpec = sinon.stub().returns(handlerSpec);
         configuration = sinon.stub().returns(handlerConfiguration);
-        handler = (req, res) => {
-          res.setHeader("Content-Type", "application/pdf");
-          res.send("Some PDF data");
-        };
+        handler = sinon.stub().returns("Some endpoint response");
       }
 
       attachHandlerToExpressServer(HandlerClass, models, dependencies);
 
-      const response = await request(expressApp)
-        .post(handlerSpec.path)
+      await request(expressApp)
+        .post("/trips/1")
         .set("X-API-KEY", apiKey)
         .set("Authorization", `Bearer ${jwtToken}`)
-        .send({someProperty: 'ABC'})
+        .send({someProperty: "ABC"})
         .expect(200);
+      await request(expressApp)
+        .post("/trips/2")
+        .set("X-API-KEY", apiKey)
+        .set("Authorization", `Bearer ${jwtToken}`)
+        .send({someProperty: "ABC"})
+        .expect(429);
+    });
 
-      expect(response.headers).to.contain({
-        "content-type": "application/pdf; charset=utf-8",
-        "content-length": "13" // Length of content provided to res.send(...)
-      });
-      expect(response.type).to.eql("application/pdf");
-      expect(response.body).to.be.an.instanceof(Buffer);
-      expect(response.body.toString()).to.eql("Some PDF data");
+    it("should add the security of the authorization to the handler spec, JwtAuth unless 'security' is given", () => {
+      class HandlerClass {
+        getSpec = sinon.stub().returns(handlerSpec);
+        configuration = sinon.stub().returns(handlerConfiguration);
+        handler = sinon.stub();
+      }
+
+      sinon.spy(btrzSwaggerExpress, "addPost");
+      attachHandlerToExpressServer(HandlerClass, models, dependencies);
+      handlerConfiguration.security = [{OAuth2: ["trips:write"]}, {PartnerSignature: []}];
+      attachHandlerToExpressServer(HandlerClass, models, dependencies);
+
+      expect(btrzSwaggerExpress.addPost.firstCall.args[0].spec.security).to.eql([{ApiKeyAuth: [], JwtAuth: []}]);
+      expect(btrzSwaggerExpress.addPost.secondCall.args[0].spec.security).to.eql([
+        {ApiKeyAuth: [], OAuth2: ["trips:write"]},
+        {ApiKeyAuth: [], PartnerSignature: []}
+      ]);
     });
 
-    it("should return the expected response when the handler rejects", async () => {
+    it("should throw an error if the 'security' in the handler configuration is not a security requirement", () => {
+      handlerConfiguration.security = {JwtAuth: true};
+
       class HandlerClass {
         getSpec = sinon.stub().returns(handlerSpec);
         configuration = sinon.stub().returns(handlerConfiguration);
-        handler = async () => {
-          throw new Error("Some unexpected error");
-        };
+        handler = sinon.stub();
+      }
+
+      expect(() => attachHandlerToExpressServer(HandlerClass, models, dependencies))
+        .to.throw("HandlerClass has invalid 'security'.  The 'security' returned by the 'configuration()' function should map " +
+          "the name of each security scheme to an array of scopes, or be an array of those objects.");
+    });
+
+    it("should add the 429 response to the handler spec when the handler is rate limited", () => {
+      dependencies.keyStore = new keyStores.MemoryStore();
+      handlerConfiguration.rateLimit = [{lookup: "headers.x-api-key", limit: 10, window: 1000}];
+
+      class HandlerClass {
+        getSpec = sinon.stub().returns(handlerSpec);
+        configuration = sinon.stub().returns(handlerConfiguration);
+        handler = sinon.stub();
       }
 
+      sinon.spy(btrzSwaggerExpress, "addPost");
       attachHandlerToExpressServer(HandlerClass, models, dependencies);
 
-      await request(expressApp)
-        .post(handlerSpec.path)
-        .set("X-API-KEY", apiKey)
-        .set("Authorization", `Bearer ${jwtToken}`)
-        .send({someProperty: 'ABC'})
-        .expect(500)
-        .expect({
-          code: "Some unexpected error",
-          message: "Some unexpected error",
-        });
+      const {spec} = btrzSwaggerExpress.addPost.firstCall.args[0];
+      expect(spec.responses[429]).to.eql({description: "Too many requests"});
+      expect(spec.responses[200]).to.eql(handlerSpec.responses[200]);
     });
 
-    it("should log when the handler rejects", async () => {
-      const handlerError = new Error("Some unexpected error");
+    it("should throw an error if the handler configuration has a 'rateLimit' but no 'keyStore' dependency was provided", () => {
+      handlerConfiguration.rateLimit = {lookup: "headers.x-api-key", limit: 10, window: 1000};
 
       class HandlerClass {
         getSpec = sinon.stub().returns(handlerSpec);
         configuration = sinon.stub().returns(handlerConfiguration);
-        handler = async () => {
-          throw handlerError;
-        };
+        handler = sinon.stub();
+      }
+
+      expect(() => attachHandlerToExpressServer(HandlerClass, models, dependencies))
+        .to.throw(
+          "HandlerClass declares 'rateLimit' but no 'keyStore' was provided.  " +
+          "Pass a store from 'keyStores' as the 'keyStore' dependency of register()."
+        );
+    });
+
+    it("should throw an error if the 'rateLimit' in the handler configuration is not an object", () => {
+      dependencies.keyStore = new keyStores.MemoryStore();
+      handlerConfiguration.rateLimit = "10 per second";
+
+      class HandlerClass {
+        getSpec = sinon.stub().returns(handlerSpec);
+        configuration = sinon.stub().returns(handlerConfiguration);
+        handler = sinon.stub();
+      }
+
+      expect(() => attachHandlerToExpressServer(HandlerClass, models, dependencies))
+        .to.throw(
+          "HandlerClass has invalid 'rateLimit'.  " +
+          "The 'rateLimit' returned by the 'configuration()' function should be an object, or an array of objects."
+        );
+    });
+
+    it("should replay the original response to retries with the same idempotency key when the handler configuration has 'idempotency'", async () => {
+      dependencies.keyStore = new keyStores.MemoryStore();
+      handlerConfiguration.idempotency = true;
+      const handler = sinon.stub().returns({ticketId: "ticket-1"});
+
+      class HandlerClass {
+        getSpec = sinon.stub().returns(handlerSpec);
+        configuration = sinon.stub().returns(handlerConfiguration);
+        handler = handler;
       }
 
       attachHandlerToExpressServer(HandlerClass, models, dependencies);
@@ -739,12 +1136,660 @@ describe("attachHandlerToExpressServer()", () => {
         .post(handlerSpec.path)
         .set("X-API-KEY", apiKey)
         .set("Authorization", `Bearer ${jwtToken}`)
-        .send({someProperty: 'ABC'})
+        .set("Idempotency-Key", "purchase-1")
+        .send({someProperty: "ABC"})
+        .expect(200)
+        .expect({ticketId: "ticket-1"});
+
+      await request(expressApp)
+        .post(handlerSpec.path)
+        .set("X-API-KEY", apiKey)
+        .set("Authorization", `Bearer ${jwtToken}`)
+        .set("Idempotency-Key", "purchase-1")
+        .send({someProperty: "ABC"})
+        .expect(200)
+        .expect("Idempotent-Replayed", "true")
+        .expect({ticketId: "ticket-1"});
+
+      await request(expressApp)
+        .post(handlerSpec.path)
+        .set("X-API-KEY", apiKey)
+        .set("Authorization", `Bearer ${jwtToken}`)
+        .set("Idempotency-Key", "purchase-1")
+        .send({someProperty: "DEF"})
+        .expect(422)
+        .expect({code: "IDEMPOTENCY_KEY_REUSED", message: "The idempotency key was already used for a different request"});
+
+      expect(handler).to.have.been.calledOnce;
+    });
+
+    it("should send the 503 of the 'fail-closed' policy like the other errors of the handler", async () => {
+      dependencies.keyStore = new keyStores.MemoryStore();
+      sinon.stub(dependencies.keyStore, "get").rejects(new Error("Connection lost"));
+      handlerConfiguration.idempotency = {onStorageError: "fail-closed"};
+
+      class HandlerClass {
+        getSpec = sinon.stub().returns(handlerSpec);
+        configuration = sinon.stub().returns(handlerConfiguration);
+        handler = sinon.stub();
+      }
+
+      attachHandlerToExpressServer(HandlerClass, models, dependencies);
+
+      await request(expressApp)
+        .post(handlerSpec.path)
+        .set("X-API-KEY", apiKey)
+        .set("Authorization", `Bearer ${jwtToken}`)
+        .set("Idempotency-Key", "purchase-1")
+        .send({someProperty: "ABC"})
+        .expect(503)
+        .expect({code: "SERVICE_UNAVAILABLE", message: "The request can not be processed right now, please try again later"});
+    });
+
+    it("should never replay the response of another user who sends the same idempotency key", async () => {
+      dependencies.keyStore = new keyStores.MemoryStore();
+      handlerConfiguration.idempotency = true;
+      const anotherJwtToken = jwt.sign({user: anotherUser, aud: audiences.BETTEREZ_APP}, privateKey, jwtTokenSigningOptions);
+      const handler = sinon.spy((req) => {
+        return {ticketId: `ticket-of-${req.user.name}`};
+      });
+
+      class HandlerClass {
+        getSpec = sinon.stub().returns(handlerSpec);
+        configuration = sinon.stub().returns(handlerConfiguration);
+        handler = handler;
+      }
+
+      attachHandlerToExpressServer(HandlerClass, models, dependencies);
+
+      await request(expressApp)
+        .post(handlerSpec.path)
+        .set("X-API-KEY", apiKey)
+        .set("Authorization", `Bearer ${jwtToken}`)
+        .set("Idempotency-Key", "purchase-1")
+        .send({someProperty: "ABC"})
+        .expect(200)
+        .expect({ticketId: "ticket-of-Test"});
+
+      const response = await request(expressApp)
+        .post(handlerSpec.path)
+        .set("X-API-KEY", apiKey)
+        .set("Authorization", `Bearer ${anotherJwtToken}`)
+        .set("Idempotency-Key", "purchase-1")
+        .send({someProperty: "ABC"})
+        .expect(200)
+        .expect({ticketId: "ticket-of-Another"});
+
+      expect(response.headers).not.to.have.property("idempotent-replayed");
+      expect(handler).to.have.been.calledTwice;
+    });
+
+    it("should add the 409 and 422 responses to the handler spec when the handler configuration has 'idempotency'", () => {
+      dependencies.keyStore = new keyStores.MemoryStore();
+      handlerConfiguration.idempotency = {lookup: "body.someProperty", ttl: 60000};
+
+      class HandlerClass {
+        getSpec = sinon.stub().returns(handlerSpec);
+        configuration = sinon.stub().returns(handlerConfiguration);
+        handler = sinon.stub();
+      }
+
+      sinon.spy(btrzSwaggerExpress, "addPost");
+      attachHandlerToExpressServer(HandlerClass, models, dependencies);
+
+      const {spec} = btrzSwaggerExpress.addPost.firstCall.args[0];
+      expect(spec.responses[409]).to.eql({description: "A request with the same idempotency key is still being processed"});
+      expect(spec.responses[422]).to.eql({description: "The idempotency key was already used for a different request"});
+    });
+
+    it("should throw an error if the handler configuration has 'idempotency' but no 'keyStore' dependency was provided", () => {
+      handlerConfiguration.idempotency = true;
+
+      class HandlerClass {
+        getSpec = sinon.stub().returns(handlerSpec);
+        configuration = sinon.stub().returns(handlerConfiguration);
+        handler = sinon.stub();
+      }
+
+      expect(() => attachHandlerToExpressServer(HandlerClass, models, dependencies))
+        .to.throw(
+          "HandlerClass declares 'idempotency' but no 'keyStore' was provided.  " +
+          "Pass a store from 'keyStores' as the 'keyStore' dependency of register()."
+        );
+    });
+
+    describe("when response validation is enabled", () => {
+      beforeEach(() => {
+        handlerSpec.responses[200].schema = {
+          type: "object",
+          required: ["ticketId"],
+          properties: {
+            ticketId: {
+              type: "string"
+            }
+          }
+        };
+      });
+
+      it("should log responses which do not match the schema in the handler spec, and send them unchanged in 'log' mode", async () => {
+        handlerConfiguration.responseValidation = "log";
+
+        class HandlerClass {
+          getSpec = sinon.stub().returns(handlerSpec);
+          configuration = sinon.stub().returns(handlerConfiguration);
+          handler = sinon.stub().returns({ticketId: 123});
+        }
+
+        attachHandlerToExpressServer(HandlerClass, models, dependencies);
+
+        await request(expressApp)
+          .post(handlerSpec.path)
+          .set("X-API-KEY", apiKey)
+          .set("Authorization", `Bearer ${jwtToken}`)
+          .send({someProperty: "ABC"})
+          .expect(200)
+          .expect({ticketId: 123});
+
+        expect(mockLogger.error).to.have.been.calledWith(
+          sinon.match("The response of HandlerClass does not match the schema of the 200 response in the handler's spec")
+        );
+      });
+
+      it("should remove the properties which are not described in the schema in 'strip' mode", async () => {
+        handlerConfiguration.responseValidation = "strip";
+
+        class HandlerClass {
+          getSpec = sinon.stub().returns(handlerSpec);
+          configuration = sinon.stub().returns(handlerConfiguration);
+          handler = sinon.stub().returns({ticketId: "ticket-1", internalNotes: "Not for clients"});
+        }
+
+        attachHandlerToExpressServer(HandlerClass, models, dependencies);
+
+        await request(expressApp)
+          .post(handlerSpec.path)
+          .set("X-API-KEY", apiKey)
+          .set("Authorization", `Bearer ${jwtToken}`)
+          .send({someProperty: "ABC"})
+          .expect(200)
+          .expect({ticketId: "ticket-1"});
+      });
+
+      it("should respond with an error instead of the invalid response in 'fail' mode", async () => {
+        handlerConfiguration.responseValidation = "fail";
+
+        class HandlerClass {
+          getSpec = sinon.stub().returns(handlerSpec);
+          configuration = sinon.stub().returns(handlerConfiguration);
+          handler = sinon.stub().returns({ticketId: "ticket-1", internalNotes: "Not for clients"});
+        }
+
+        attachHandlerToExpressServer(HandlerClass, models, dependencies);
+
+        const response = await request(expressApp)
+          .post(handlerSpec.path)
+          .set("X-API-KEY", apiKey)
+          .set("Authorization", `Bearer ${jwtToken}`)
+          .send({someProperty: "ABC"})
+          .expect(500);
+
+        expect(response.body).to.eql({code: "INVALID_RESPONSE", message: "The server could not build a valid response"});
+        expect(mockLogger.error.firstCall.args[0]).to.contain("The response of HandlerClass does not match the schema");
+        expect(mockLogger.error.firstCall.args[0]).to.contain("internalNotes");
+      });
+
+      it("should use the mode for the current environment from the 'responseValidation' dependency", async () => {
+        dependencies.responseValidation = {[process.env.NODE_ENV]: "fail", default: "off"};
+
+        class HandlerClass {
+          getSpec = sinon.stub().returns(handlerSpec);
+          configuration = sinon.stub().returns(handlerConfiguration);
+          handler = sinon.stub().returns({});
+        }
+
+        attachHandlerToExpressServer(HandlerClass, models, dependencies);
+
+        await request(expressApp)
+          .post(handlerSpec.path)
+          .set("X-API-KEY", apiKey)
+          .set("Authorization", `Bearer ${jwtToken}`)
+          .send({someProperty: "ABC"})
+          .expect(500);
+      });
+
+      it("should allow the handler configuration to override the 'responseValidation' dependency", async () => {
+        dependencies.responseValidation = "fail";
+        handlerConfiguration.responseValidation = "off";
+
+        class HandlerClass {
+          getSpec = sinon.stub().returns(handlerSpec);
+          configuration = sinon.stub().returns(handlerConfiguration);
+          handler = sinon.stub().returns({});
+        }
+
+        attachHandlerToExpressServer(HandlerClass, models, dependencies);
+
+        await request(expressApp)
+          .post(handlerSpec.path)
+          .set("X-API-KEY", apiKey)
+          .set("Authorization", `Bearer ${jwtToken}`)
+          .send({someProperty: "ABC"})
+          .expect(200)
+          .expect({});
+      });
+
+      it("should throw an error if the 'responseValidation' is not a known mode", () => {
+        handlerConfiguration.responseValidation = "warn";
+
+        class HandlerClass {
+          getSpec = sinon.stub().returns(handlerSpec);
+          configuration = sinon.stub().returns(handlerConfiguration);
+          handler = sinon.stub();
+        }
+
+        expect(() => attachHandlerToExpressServer(HandlerClass, models, dependencies))
+          .to.throw(
+            "HandlerClass has invalid 'responseValidation'.  " +
+            "The 'responseValidation' should be one of: off, log, strip, fail, or an object with a mode for each environment."
+          );
+      });
+    });
+
+    it("should allow the handler to set the HTTP response code", async () => {
+      class HandlerClass {
+        getSpec = sinon.stub().returns(handlerSpec);
+        configuration = sinon.stub().returns(handlerConfiguration);
+        handler = (req, res) => {
+          res.status(304);
+        };
+      }
+
+      attachHandlerToExpressServer(HandlerClass, models, dependencies);
+
+      await request(expressApp)
+        .post(handlerSpec.path)
+        .set("X-API-KEY", apiKey)
+        .set("Authorization", `Bearer ${jwtToken}`)
+        .send({someProperty: 'ABC'})
+        .expect(304);
+    });
+
+    it("should allow the handler to send content that is not JSON", async () => {
+      class HandlerClass {
+        getSpec = sinon.stub().returns(handlerSpec);
+        configuration = sinon.stub().returns(handlerConfiguration);
+        handler = (req, res) => {
+          res.setHeader("Content-Type", "application/pdf");
+          res.send("Some PDF data");
+        };
+      }
+
+      attachHandlerToExpressServer(HandlerClass, models, dependencies);
+
+      const response = await request(expressApp)
+        .post(handlerSpec.path)
+        .set("X-API-KEY", apiKey)
+        .set("Authorization", `Bearer ${jwtToken}`)
+        .send({someProperty: 'ABC'})
+        .expect(200);
+
+      expect(response.headers).to.contain({
+        "content-type": "application/pdf; charset=utf-8",
+        "content-length": "13" // Length of content provided to res.send(...)
+      });
+      expect(response.type).to.eql("application/pdf");
+      expect(response.body).to.be.an.instanceof(Buffer);
+      expect(response.body.toString()).to.eql("Some PDF data");
+    });
+
+    it("should return the expected response when the handler rejects", async () => {
+      class HandlerClass {
+        getSpec = sinon.stub().returns(handlerSpec);
+        configuration = sinon.stub().returns(handlerConfiguration);
+        handler = async () => {
+          throw new Error("Some unexpected error");
+        };
+      }
+
+      attachHandlerToExpressServer(HandlerClass, models, dependencies);
+
+      await request(expressApp)
+        .post(handlerSpec.path)
+        .set("X-API-KEY", apiKey)
+        .set("Authorization", `Bearer ${jwtToken}`)
+        .send({someProperty: 'ABC'})
+        .expect(500)
+        .expect({
+          code: "Some unexpected error",
+          message: "Some unexpected error",
+        });
+    });
+
+    it("should log when the handler rejects", async () => {
+      const handlerError = new Error("Some unexpected error");
+
+      class HandlerClass {
+        getSpec = sinon.stub().returns(handlerSpec);
+        configuration = sinon.stub().returns(handlerConfiguration);
+        handler = async () => {
+          throw handlerError;
+        };
+      }
+
+      attachHandlerToExpressServer(HandlerClass, models, dependencies);
+
+      await request(expressApp)
+        .post(handlerSpec.path)
+        .set("X-API-KEY", apiKey)
+        .set("Authorization", `Bearer ${jwtToken}`)
+        .send({someProperty: 'ABC'})
         .expect(500);
 
       expect(mockLogger.fatal).to.have.been.calledOnceWithExactly("ERROR ON http-response-handlers.error", handlerError);
     });
 
+    it("should send the CORS headers of the 'cors' policy in the handler configuration", async () => {
+      handlerConfiguration.cors = {origins: ["https://websales.example.com"]};
+
+      class HandlerClass {
+        getSpec = sinon.stub().returns(handlerSpec);
+        configuration = sinon.stub().returns(handlerConfiguration);
+        handler = sinon.stub().returns("Some endpoint response");
+      }
+
+      attachHandlerToExpressServer(HandlerClass, models, dependencies);
+
+      const {headers} = await request(expressApp)
+        .post(handlerSpec.path)
+        .set("X-API-KEY", apiKey)
+        .set("Authorization", `Bearer ${jwtToken}`)
+        .set("Origin", "https://websales.example.com")
+        .send({someProperty: "ABC"})
+        .expect(200);
+
+      expect(headers["access-control-allow-origin"]).to.eql("https://websales.example.com");
+    });
+
+    it("should throw an error if the 'cors' in the handler configuration is invalid", () => {
+      handlerConfiguration.cors = {origins: "https://websales.example.com"};
+
+      class HandlerClass {
+        getSpec = sinon.stub().returns(handlerSpec);
+        configuration = sinon.stub().returns(handlerConfiguration);
+        handler = sinon.stub();
+      }
+
+      expect(() => attachHandlerToExpressServer(HandlerClass, models, dependencies))
+        .to.throw("HandlerClass has invalid 'cors'.");
+    });
+
+    describe("when the handler configuration has a 'timeout'", () => {
+      it("should respond with a 504 error once the timeout expires, and abort the signal given to the handler", async () => {
+        handlerConfiguration.timeout = 20;
+        let signal = null;
+
+        class HandlerClass {
+          getSpec = sinon.stub().returns(handlerSpec);
+          configuration = sinon.stub().returns(handlerConfiguration);
+          handler = (req, res, options) => {
+            signal = options.signal;
+            return new Promise(() => {});
+          };
+        }
+
+        attachHandlerToExpressServer(HandlerClass, models, dependencies);
+
+        await request(expressApp)
+          .post(handlerSpec.path)
+          .set("X-API-KEY", apiKey)
+          .set("Authorization", `Bearer ${jwtToken}`)
+          .send({someProperty: "ABC"})
+          .expect(504)
+          .expect({code: "REQUEST_TIMEOUT", message: "The request took longer than 20ms"});
+
+        expect(signal.aborted).to.eql(true);
+        expect(signal.reason.code).to.eql("REQUEST_TIMEOUT");
+        expect(mockLogger.fatal.called).to.eql(false);
+      });
+
+      it("should respond with the 'status' of the timeout, and never send the result of the handler after the timeout", async () => {
+        handlerConfiguration.timeout = {ms: 20, status: 503};
+        let lateResult = null;
+
+        class HandlerClass {
+          getSpec = sinon.stub().returns(handlerSpec);
+          configuration = sinon.stub().returns(handlerConfiguration);
+          handler = () => {
+            lateResult = new Promise((resolve) => {
+              setTimeout(() => resolve("Late result"), 40);
+            });
+            return lateResult;
+          };
+        }
+
+        attachHandlerToExpressServer(HandlerClass, models, dependencies);
+
+        const {body} = await request(expressApp)
+          .post(handlerSpec.path)
+          .set("X-API-KEY", apiKey)
+          .set("Authorization", `Bearer ${jwtToken}`)
+          .send({someProperty: "ABC"})
+          .expect(503);
+        await lateResult;
+
+        expect(body.code).to.eql("REQUEST_TIMEOUT");
+      });
+
+      it("should respond normally when the handler finishes in time", async () => {
+        handlerConfiguration.timeout = 1000;
+
+        class HandlerClass {
+          getSpec = sinon.stub().returns(handlerSpec);
+          configuration = sinon.stub().returns(handlerConfiguration);
+          handler = sinon.stub().resolves("Some endpoint response");
+        }
+
+        attachHandlerToExpressServer(HandlerClass, models, dependencies);
+
+        const {body} = await request(expressApp)
+          .post(handlerSpec.path)
+          .set("X-API-KEY", apiKey)
+          .set("Authorization", `Bearer ${jwtToken}`)
+          .send({someProperty: "ABC"})
+          .expect(200);
+
+        expect(body).to.eql("Some endpoint response");
+      });
+
+      it("should add the timeout response to the handler spec", () => {
+        handlerConfiguration.timeout = 1000;
+
+        class HandlerClass {
+          getSpec = sinon.stub().returns(handlerSpec);
+          configuration = sinon.stub().returns(handlerConfiguration);
+          handler = sinon.stub();
+        }
+
+        const {spec} = attachHandlerToExpressServer(HandlerClass, models, dependencies);
+
+        expect(spec.responses[504]).to.eql({description: "The request took longer than the handler's timeout"});
+      });
+
+      it("should throw an error if the 'timeout' is not a number of milliseconds, or has an unsupported 'status'", () => {
+        handlerConfiguration.timeout = {ms: 1000, status: 500};
+
+        class HandlerClass {
+          getSpec = sinon.stub().returns(handlerSpec);
+          configuration = sinon.stub().returns(handlerConfiguration);
+          handler = sinon.stub();
+        }
+
+        expect(() => attachHandlerToExpressServer(HandlerClass, models, dependencies))
+          .to.throw(
+            "HandlerClass has invalid 'timeout'.  " +
+            "The 'timeout' returned by the 'configuration()' function should be a number of milliseconds, or an object with " +
+            "the 'ms' and an optional 'status', which should be one of: 503, 504."
+          );
+      });
+    });
+
+    describe("when the handler configuration has hooks", () => {
+      it("should call the hooks in order, around the validation and the handler", async () => {
+        const calls = [];
+        handlerConfiguration.beforeValidation = sinon.spy(() => calls.push("beforeValidation"));
+        handlerConfiguration.afterValidation = sinon.spy((req) => {
+          calls.push("afterValidation");
+          req.trip = {id: req.body.someProperty};
+        });
+        handlerConfiguration.beforeResponse = sinon.spy((body) => {
+          calls.push("beforeResponse");
+          return {...body, transformed: true};
+        });
+        handlerConfiguration.onResponse = sinon.spy((req, res) => calls.push(`onResponse ${res.statusCode}`));
+
+        class HandlerClass {
+          getSpec = sinon.stub().returns(handlerSpec);
+          configuration = sinon.stub().returns(handlerConfiguration);
+          handler = (req) => {
+            calls.push("handler");
+            return {trip: req.trip};
+          };
+        }
+
+        attachHandlerToExpressServer(HandlerClass, models, dependencies);
+
+        const {body} = await request(expressApp)
+          .post(handlerSpec.path)
+          .set("X-API-KEY", apiKey)
+          .set("Authorization", `Bearer ${jwtToken}`)
+          .send({someProperty: "ABC"})
+          .expect(200);
+
+        expect(body).to.eql({trip: {id: "ABC"}, transformed: true});
+        expect(handlerConfiguration.beforeResponse.firstCall.args[0]).to.eql({trip: {id: "ABC"}});
+        expect(calls).to.eql(["beforeValidation", "afterValidation", "handler", "beforeResponse", "onResponse 200"]);
+      });
+
+      it("should not call the 'afterValidation' hook nor the handler when the request is invalid", async () => {
+        handlerConfiguration.afterValidation = sinon.stub();
+        handlerConfiguration.onResponse = sinon.stub();
+        const handler = sinon.stub();
+
+        class HandlerClass {
+          getSpec = sinon.stub().returns(handlerSpec);
+          configuration = sinon.stub().returns(handlerConfiguration);
+          handler = handler;
+        }
+
+        attachHandlerToExpressServer(HandlerClass, models, dependencies);
+
+        await request(expressApp)
+          .post(handlerSpec.path)
+          .set("X-API-KEY", apiKey)
+          .set("Authorization", `Bearer ${jwtToken}`)
+          .send({})
+          .expect(400);
+
+        expect(handlerConfiguration.afterValidation.called).to.eql(false);
+        expect(handler.called).to.eql(false);
+        expect(handlerConfiguration.onResponse.calledOnce).to.eql(true);
+      });
+
+      it("should call the 'onResponse' hook when the rate limiter sends the response", async () => {
+        dependencies.keyStore = new keyStores.MemoryStore();
+        handlerConfiguration.rateLimit = {lookup: "headers.x-api-key", limit: 1, window: 60000};
+        handlerConfiguration.onResponse = sinon.stub();
+        const handler = sinon.stub();
+
+        class HandlerClass {
+          getSpec = sinon.stub().returns(handlerSpec);
+          configuration = sinon.stub().returns(handlerConfiguration);
+          handler = handler;
+        }
+
+        attachHandlerToExpressServer(HandlerClass, models, dependencies);
+
+        for (const status of [200, 429]) {
+          await request(expressApp)
+            .post(handlerSpec.path)
+            .set("X-API-KEY", apiKey)
+            .set("Authorization", `Bearer ${jwtToken}`)
+            .send({someProperty: "ABC"})
+            .expect(status);
+        }
+
+        expect(handler.calledOnce).to.eql(true);
+        expect(handlerConfiguration.onResponse.calledTwice).to.eql(true);
+        expect(handlerConfiguration.onResponse.secondCall.args[1].statusCode).to.eql(429);
+      });
+
+      it("should short-circuit the request when a hook sends the response", async () => {
+        handlerConfiguration.afterValidation = (req, res) => {
+          res.status(404).json({code: "TRIP_NOT_FOUND", message: "Trip not found"});
+        };
+        const handler = sinon.stub();
+
+        class HandlerClass {
+          getSpec = sinon.stub().returns(handlerSpec);
+          configuration = sinon.stub().returns(handlerConfiguration);
+          handler = handler;
+        }
+
+        attachHandlerToExpressServer(HandlerClass, models, dependencies);
+
+        await request(expressApp)
+          .post(handlerSpec.path)
+          .set("X-API-KEY", apiKey)
+          .set("Authorization", `Bearer ${jwtToken}`)
+          .send({someProperty: "ABC"})
+          .expect(404)
+          .expect({code: "TRIP_NOT_FOUND", message: "Trip not found"});
+
+        expect(handler.called).to.eql(false);
+      });
+
+      it("should short-circuit the request when a hook throws, and respond with the error", async () => {
+        handlerConfiguration.beforeValidation = async () => {
+          throw new ValidationError("TRIP_LOCKED", "The trip is locked", 409);
+        };
+        const handler = sinon.stub();
+
+        class HandlerClass {
+          getSpec = sinon.stub().returns(handlerSpec);
+          configuration = sinon.stub().returns(handlerConfiguration);
+          handler = handler;
+        }
+
+        attachHandlerToExpressServer(HandlerClass, models, dependencies);
+
+        await request(expressApp)
+          .post(handlerSpec.path)
+          .set("X-API-KEY", apiKey)
+          .set("Authorization", `Bearer ${jwtToken}`)
+          .send({})
+          .expect(409)
+          .expect({code: "TRIP_LOCKED", message: "The trip is locked"});
+
+        expect(handler.called).to.eql(false);
+      });
+
+      it("should throw an error if a hook is not a function", () => {
+        handlerConfiguration.beforeResponse = {transform: true};
+
+        class HandlerClass {
+          getSpec = sinon.stub().returns(handlerSpec);
+          configuration = sinon.stub().returns(handlerConfiguration);
+          handler = sinon.stub();
+        }
+
+        expect(() => attachHandlerToExpressServer(HandlerClass, models, dependencies))
+          .to.throw(
+            "HandlerClass has invalid 'beforeResponse'.  " +
+            "The 'beforeResponse' returned by the 'configuration()' function should be a function."
+          );
+      });
+    });
+
     it(`should call the handler's "onHandlerError" method when the handler rejects, if this function is defined`, async () => {
       const handlerError = new Error("Some unexpected error");
       const onHandlerError = sinon.stub();
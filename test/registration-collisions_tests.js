@@ -0,0 +1,68 @@
+"use strict";
+
+describe("CollisionDetector", () => {
+  const expect = require("chai").expect;
+  const sinon = require("sinon");
+  const CollisionDetector = require("../lib/registration-collisions");
+
+  let logger = null;
+
+  beforeEach(() => {
+    logger = {warn: sinon.spy(), error: sinon.spy()};
+  });
+
+  it("should log a warning when two handlers declare the same route, ignoring the names of the path parameters", () => {
+    const collisions = new CollisionDetector({logger});
+    collisions.addRoute({method: "GET", path: "/trips/{id}", nickname: "getTrip"}, "trips/handlers/get-trip.js");
+    collisions.addRoute({method: "get", path: "/trips/{tripId}", nickname: "getTripV2"}, "trips/handlers/get-trip-v2.js");
+
+    expect(logger.warn.calledOnce).to.eql(true);
+    expect(logger.warn.firstCall.args[0]).to.eql("The route \"GET /trips/{tripId}\" is declared by both trips/handlers/get-trip.js " +
+      "and trips/handlers/get-trip-v2.js.  Only one of them can handle the requests.");
+  });
+
+  it("should only compare the routes added to the same swagger document", () => {
+    const collisions = new CollisionDetector({onCollision: "fail", logger});
+    collisions.addRoute({method: "GET", path: "/trips", nickname: "getTrips"}, "trips/handlers/get-trips.js");
+    collisions.addRoute({method: "GET", path: "/trips", nickname: "getTrips"}, "partners/trips/handlers/get-trips.js", "v2");
+
+    expect(() => {
+      return collisions.addRoute({method: "GET", path: "/trips"}, "trips/handlers/list-trips.js", "v2");
+    }).to.throw("The route \"GET /trips\" is declared by both partners/trips/handlers/get-trips.js and trips/handlers/list-trips.js.");
+  });
+
+  it("should throw when two handlers use the same nickname and 'onCollision' is \"fail\"", () => {
+    const collisions = new CollisionDetector({onCollision: "fail", logger});
+    collisions.addRoute({method: "GET", path: "/trips", nickname: "getTrips"}, "trips/handlers/get-trips.js");
+
+    expect(() => {
+      return collisions.addRoute({method: "POST", path: "/trips", nickname: "getTrips"}, "trips/handlers/create-trip.js");
+    }).to.throw("The nickname \"getTrips\" is used by both trips/handlers/get-trips.js and trips/handlers/create-trip.js.  " +
+      "Nicknames should be unique.");
+  });
+
+  it("should allow identical model definitions, and report models that are defined differently", () => {
+    const collisions = new CollisionDetector({onCollision: "fail", logger});
+    collisions.addModels({Location: {properties: {lat: {type: "number"}}}}, "stations/models");
+    collisions.addModels({Location: {properties: {lat: {type: "number"}}}}, "trips/models");
+
+    expect(() => {
+      return collisions.addModels({Location: {properties: {lat: {type: "string"}}}}, "tickets/models");
+    }).to.throw("The model \"Location\" is defined differently by stations/models and tickets/models.  " +
+      "One of the definitions would overwrite the other.");
+  });
+
+  it("should log with logger.error when the logger has no warn()", () => {
+    const collisions = new CollisionDetector({logger: {error: logger.error}});
+    collisions.addModels({Location: {}}, "stations/models");
+    collisions.addModels({Location: {type: "object"}}, "trips/models");
+
+    expect(logger.error.calledOnce).to.eql(true);
+  });
+
+  it("should throw when 'onCollision' is not recognized", () => {
+    expect(() => {
+      return new CollisionDetector({onCollision: "ignore"});
+    }).to.throw("register() has invalid 'onCollision'.  The 'onCollision' should be one of: warn, fail.");
+  });
+});
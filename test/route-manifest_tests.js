@@ -0,0 +1,100 @@
+"use strict";
+
+describe("Route manifest", () => {
+  const expect = require("chai").expect;
+  const {createRouteEntry, formatTable, buildRouteManifest} = require("../lib/route-manifest");
+
+  function checkAccount(req, res, next) {
+    next();
+  }
+
+  const route = {
+    spec: {
+      path: "/trips/{tripId}",
+      method: "get",
+      nickname: "getTrip",
+      parameters: [{in: "body", name: "trip", schema: {type: "array", items: {$ref: "#/definitions/TripUpdate"}}}],
+      responses: {
+        200: {schema: {$ref: "#/definitions/Trip"}},
+        404: {schema: {$ref: "#/definitions/ErrorResponse"}}
+      }
+    },
+    handlerConfiguration: {
+      authorization: {name: "USER_MUST_BE_LOGGED_IN"},
+      middleware: [checkAccount, (req, res, next) => {
+        return next();
+      }],
+      validationSettings: {allowNumbersToBeStrings: true}
+    }
+  };
+
+  describe("createRouteEntry()", () => {
+    it("should describe the route, its authorization, middleware, validation settings and referenced models", () => {
+      expect(createRouteEntry(route, "trips/handlers/get-trip.js")).to.deep.equal({
+        method: "GET",
+        path: "/trips/{tripId}",
+        nickname: "getTrip",
+        version: undefined,
+        source: "trips/handlers/get-trip.js",
+        authorization: {name: "USER_MUST_BE_LOGGED_IN"},
+        middleware: ["checkAccount", "anonymous"],
+        validationSettings: {allowNumbersToBeStrings: true},
+        models: ["ErrorResponse", "Trip", "TripUpdate"]
+      });
+    });
+
+    it("should only list the source of handler classes which registered themselves", () => {
+      expect(createRouteEntry(undefined, "trips/handlers/create-trip.js")).to.deep.equal({
+        source: "trips/handlers/create-trip.js",
+        selfRegistered: true
+      });
+    });
+  });
+
+  describe("formatTable()", () => {
+    it("should print a row per route, with aligned columns", () => {
+      const routes = [createRouteEntry(route, "trips/handlers/get-trip.js"), createRouteEntry(undefined, "trips/handlers/create-trip.js")];
+      const lines = formatTable(routes).split("\n");
+
+      expect(lines).to.have.lengthOf(3);
+      expect(lines[0]).to.match(/^METHOD\s+PATH\s+NICKNAME\s+AUTHORIZATION\s+MIDDLEWARE\s+MODELS\s+SOURCE$/);
+      expect(lines[1]).to.match(/^GET\s+\/trips\/\{tripId\}\s+getTrip\s+\{"name":"USER_MUST_BE_LOGGED_IN"\}\s+checkAccount, anonymous\s+/);
+      expect(lines[2]).to.match(/^\(self-registered\)\s+trips\/handlers\/create-trip.js$/);
+      expect(lines[1].indexOf("getTrip")).to.eql(lines[0].indexOf("NICKNAME"));
+    });
+  });
+
+  describe("buildRouteManifest()", () => {
+    it("should load the handlers under the base path without a server and return their routes", async () => {
+      const manifest = await buildRouteManifest(`${__dirname}/test-register/manifest`);
+
+      expect(manifest.routes.map((entry) => {
+        return entry.source;
+      })).to.eql(["trips/handlers/create-trip.js", "trips/handlers/get-trips.js"]);
+      expect(manifest.routes[1]).to.include({method: "GET", path: "/trips/{tripId}", nickname: "getTrip"});
+      expect(manifest.routes[1].middleware).to.eql(["loadAccount"]);
+    });
+
+    it("should list the handlers which can't be loaded without their dependencies, and the routes of the others", async () => {
+      const manifest = await buildRouteManifest(`${__dirname}/test-register/manifest`);
+
+      expect(manifest.failures).to.eql([{
+        source: "trips/handlers/update-trip.js",
+        error: "Cannot read properties of undefined (reading 'collectionFor')"
+      }]);
+    });
+
+    it("should give the dependencies to the handlers", async () => {
+      const simpleDao = {
+        collectionFor() {
+          return {};
+        }
+      };
+      const manifest = await buildRouteManifest(`${__dirname}/test-register/manifest`, {dependencies: {simpleDao}});
+
+      expect(manifest.failures).to.eql([]);
+      expect(manifest.routes[2]).to.include({method: "PUT", path: "/trips/{tripId}", nickname: "updateTrip",
+        source: "trips/handlers/update-trip.js"});
+    });
+  });
+});
@@ -2,7 +2,8 @@
 
 describe("SwaggerRequestHandler", () => {
   const expect = require("chai").expect;
-  const swaggerRequestHandler = require("../index.js").swaggerRequestHandler;
+  const sinon = require("sinon");
+  const {swaggerRequestHandler, withSecurity, ValidationError} = require("../index.js");
 
   class HandlerClass {
     getSpec() {
@@ -94,6 +95,98 @@ describe("SwaggerRequestHandler", () => {
     expect(swaggerHandler.spec.security[0].BasicAuth.length).to.equal(0);
   });
 
+  it("should add the security requirements declared with withSecurity() to the ApiKeyAuth security object", () => {
+    const handlerInstance = new HandlerWithSecurityClass();
+    const jwtMiddleware = withSecurity((req, res, next) => {
+      return next();
+    }, {JwtAuth: []});
+    const swaggerHandler = swaggerRequestHandler(jwtMiddleware, handlerInstance);
+
+    expect(swaggerHandler.spec.security).to.deep.equal([{ApiKeyAuth: [], JwtAuth: []}]);
+  });
+
+  it("should merge the scopes and custom schemes declared by several middlewares", () => {
+    const handlerInstance = new HandlerWithSecurityClass();
+    const readTrips = withSecurity((req, res, next) => {
+      return next();
+    }, {OAuth2: ["trips:read"]});
+    const signedByPartner = withSecurity((req, res, next) => {
+      return next();
+    }, {PartnerSignature: []});
+    const swaggerHandler = swaggerRequestHandler(readTrips, signedByPartner, handlerInstance);
+
+    expect(swaggerHandler.spec.security).to.deep.equal([{
+      ApiKeyAuth: [],
+      OAuth2: ["trips:read"],
+      PartnerSignature: []
+    }]);
+  });
+
+  it("should keep the requirements declared in an array as alternatives, each combined with the other middlewares", () => {
+    const handlerInstance = new HandlerWithSecurityClass();
+    const readTrips = withSecurity((req, res, next) => {
+      return next();
+    }, {OAuth2: ["trips:read"]});
+    const writeTrips = withSecurity((req, res, next) => {
+      return next();
+    }, [{OAuth2: ["trips:read", "trips:write"]}, {PartnerSignature: []}]);
+    const swaggerHandler = swaggerRequestHandler(readTrips, writeTrips, handlerInstance);
+
+    expect(swaggerHandler.spec.security).to.deep.equal([
+      {ApiKeyAuth: [], OAuth2: ["trips:read", "trips:write"]},
+      {ApiKeyAuth: [], OAuth2: ["trips:read"], PartnerSignature: []}
+    ]);
+  });
+
+  it("should return a new middleware which calls the given one, and leave the given middleware unchanged", () => {
+    const request = {};
+    const response = {};
+    const next = sinon.stub();
+    const sharedMiddleware = sinon.spy((req, res, callback) => {
+      return callback();
+    });
+
+    const middleware = withSecurity(sharedMiddleware, {JwtAuth: []});
+    middleware(request, response, next);
+
+    expect(middleware).not.to.equal(sharedMiddleware);
+    expect(Object.getOwnPropertySymbols(sharedMiddleware)).to.deep.equal([]);
+    expect(sharedMiddleware.firstCall.args).to.deep.equal([request, response, next]);
+    expect(next.calledOnce).to.equal(true);
+  });
+
+  it("should give the new middleware the name and the number of arguments of the given one", () => {
+    function authenticateToken(req, res, next) {
+      return next();
+    }
+    function handleAuthenticationError(err, req, res, next) {
+      return next(err);
+    }
+
+    expect(withSecurity(authenticateToken, {JwtAuth: []})).to.include({name: "authenticateToken", length: 3});
+    expect(withSecurity(handleAuthenticationError, {JwtAuth: []})).to.include({name: "handleAuthenticationError", length: 4});
+  });
+
+  it("should not read the source code of middleware which declares its security", () => {
+    const handlerInstance = new HandlerWithSecurityClass();
+    function authenticateTokenMiddleware() {
+      return true;
+    }
+    const middleware = withSecurity((req, res, next) => {
+      authenticateTokenMiddleware();
+      return next();
+    }, {BasicAuth: []});
+    const swaggerHandler = swaggerRequestHandler(middleware, handlerInstance);
+
+    expect(swaggerHandler.spec.security).to.deep.equal([{ApiKeyAuth: [], BasicAuth: []}]);
+  });
+
+  it("should throw if withSecurity() receives invalid requirements", () => {
+    expect(() => {
+      return withSecurity(() => {}, {OAuth2: "trips:read"});
+    }).to.throw("withSecurity() has invalid arguments.");
+  });
+
   it("should create object with action that executes middlewares before calling the given handler", (done) => {
     const handlerInstance = new HandlerClass();
     const request = {fn: done};
@@ -107,6 +200,280 @@ describe("SwaggerRequestHandler", () => {
     swaggerHandler.action(request);
   });
 
+  describe("when the first argument is the options", () => {
+    function errorMiddleware(req, res, next) {
+      next(new Error("an errr"));
+    }
+
+    function createResponse() {
+      return {
+        status(statusCode) {
+          this.statusCode = statusCode;
+          return this;
+        },
+        json(body) {
+          this.body = body;
+        }
+      };
+    }
+
+    it("should log the errors with the given 'logger'", async () => {
+      const logger = {fatal: sinon.stub()};
+      const response = createResponse();
+
+      const swaggerHandler = swaggerRequestHandler({logger}, errorMiddleware, new HandlerClass());
+      await swaggerHandler.action({}, response);
+
+      expect(logger.fatal.firstCall.args[0]).to.equal("ERROR ON http-response-handlers.error");
+      expect(response.statusCode).to.equal(500);
+    });
+
+    it("should respond with the error returned by 'onError'", async () => {
+      const response = createResponse();
+      const onError = sinon.stub().returns(new ValidationError("TRIP_NOT_FOUND", "Trip not found", 404));
+
+      const swaggerHandler = swaggerRequestHandler({logger: {}, onError}, errorMiddleware, new HandlerClass());
+      await swaggerHandler.action({}, response);
+
+      expect(onError.firstCall.args[0].message).to.equal("an errr");
+      expect(response.statusCode).to.equal(404);
+      expect(response.body).to.deep.equal({code: "TRIP_NOT_FOUND", message: "Trip not found"});
+    });
+
+    it("should respond with the original error when 'onError' returns nothing, and with the error thrown by 'onError'", async () => {
+      const response = createResponse();
+      const anotherResponse = createResponse();
+
+      await swaggerRequestHandler({logger: {}, onError: () => {}}, errorMiddleware, new HandlerClass()).action({}, response);
+      await swaggerRequestHandler({
+        logger: {},
+        onError: () => {
+          throw new Error("Bad mapper");
+        }
+      }, errorMiddleware, new HandlerClass()).action({}, anotherResponse);
+
+      expect(response.body.message).to.equal("an errr");
+      expect(anotherResponse.body.message).to.equal("Bad mapper");
+    });
+
+    it("should respond with the given 'errorResponder'", async () => {
+      const logger = {};
+      const respond = sinon.stub();
+      const errorResponder = sinon.stub().returns(respond);
+      const response = createResponse();
+
+      await swaggerRequestHandler({logger, errorResponder}, errorMiddleware, new HandlerClass()).action({}, response);
+
+      expect(errorResponder.firstCall.args).to.deep.equal([response, logger]);
+      expect(respond.firstCall.args[0].message).to.equal("an errr");
+    });
+
+    it("should not mistake a handler object for the options", () => {
+      const swaggerHandler = swaggerRequestHandler({
+        getSpec() {
+          return {path: "specc"};
+        },
+        handler() {
+          return true;
+        }
+      });
+
+      expect(swaggerHandler.spec.path).to.equal("specc");
+    });
+
+    it("should throw if the options are invalid", () => {
+      expect(() => {
+        return swaggerRequestHandler({onError: "log"}, new HandlerClass());
+      }).to.throw("swaggerRequestHandler() has invalid options.");
+    });
+  });
+
+  describe("the phases after the handler", () => {
+    class ResultHandler {
+      getSpec() {
+        return {path: "/trips"};
+      }
+      handler() {
+        return {trips: []};
+      }
+    }
+
+    class FailingHandler {
+      getSpec() {
+        return {path: "/trips"};
+      }
+      handler() {
+        throw new ValidationError("TRIP_NOT_FOUND", "Trip not found", 404);
+      }
+    }
+
+    function createResponse() {
+      return {
+        statusCode: 200,
+        headersSent: false,
+        status(statusCode) {
+          this.statusCode = statusCode;
+          return this;
+        },
+        json(body) {
+          this.body = body;
+          this.headersSent = true;
+          return this;
+        }
+      };
+    }
+
+    it("should ignore the result returned by the handler by default", async () => {
+      const response = createResponse();
+      const json = sinon.spy(response, "json");
+
+      await swaggerRequestHandler(new ResultHandler()).action({}, response);
+
+      expect(json.called).to.equal(false);
+    });
+
+    it("should send the result returned by the handler when 'sendResult' is true", async () => {
+      const response = createResponse();
+
+      await swaggerRequestHandler({sendResult: true}, new ResultHandler()).action({}, response);
+
+      expect(response.statusCode).to.equal(200);
+      expect(response.body).to.deep.equal({trips: []});
+    });
+
+    it("should not send the result when the handler sent the response itself", async () => {
+      const response = createResponse();
+      const json = sinon.spy(response, "json");
+
+      await swaggerRequestHandler({sendResult: true}, {
+        getSpec() {
+          return {path: "/trips"};
+        },
+        handler(req, res) {
+          return res.status(201).json({id: "1"});
+        }
+      }).action({}, response);
+
+      expect(json.calledOnce).to.equal(true);
+      expect(response.statusCode).to.equal(201);
+    });
+
+    it("should let the 'after' hooks see and replace the result, which is then sent", async () => {
+      const response = createResponse();
+      const request = {};
+      const first = sinon.stub().returns(undefined);
+      const second = sinon.stub().resolves({trips: [], count: 0});
+
+      await swaggerRequestHandler({after: [first, second]}, new ResultHandler()).action(request, response);
+
+      expect(first.firstCall.args).to.deep.equal([{trips: []}, request, response]);
+      expect(second.firstCall.args[0]).to.deep.equal({trips: []});
+      expect(response.body).to.deep.equal({trips: [], count: 0});
+    });
+
+    it("should pass the errors to the error middleware, which can send the response", async () => {
+      const response = createResponse();
+      const errorResponder = sinon.stub();
+
+      function notFound(err, req, res, next) {
+        if (err.status !== 404) {
+          return next(err);
+        }
+        return res.status(404).json({code: "NOT_FOUND"});
+      }
+
+      await swaggerRequestHandler({errorResponder}, notFound, new FailingHandler()).action({}, response);
+
+      expect(response.statusCode).to.equal(404);
+      expect(response.body).to.deep.equal({code: "NOT_FOUND"});
+      expect(errorResponder.called).to.equal(false);
+    });
+
+    it("should run the error middleware in order, then respond with the error they passed on", async () => {
+      const response = createResponse();
+      const calls = [];
+      const positional = sinon.spy((error, req, res, next) => {
+        calls.push(error.code);
+        next();
+      });
+      const fromOptions = sinon.spy((err, req, res, next) => {
+        calls.push("options");
+        next(new ValidationError("WRAPPED", err.message, 400));
+      });
+
+      await swaggerRequestHandler({logger: {}, error: [fromOptions]}, positional, new FailingHandler()).action({}, response);
+
+      expect(calls).to.deep.equal(["TRIP_NOT_FOUND", "options"]);
+      expect(fromOptions.firstCall.args[0].code).to.equal("TRIP_NOT_FOUND");
+      expect(response.statusCode).to.equal(400);
+      expect(response.body).to.deep.equal({code: "WRAPPED", message: "Trip not found"});
+    });
+
+    it("should not run the error middleware before the handler", async () => {
+      const response = createResponse();
+      const errorMiddleware = sinon.spy((err, req, res, next) => {
+        next(err);
+      });
+
+      await swaggerRequestHandler({sendResult: true}, errorMiddleware, new ResultHandler()).action({}, response);
+
+      expect(errorMiddleware.called).to.equal(false);
+      expect(response.body).to.deep.equal({trips: []});
+    });
+
+    it("should run the 'finally' hooks after the response, with the error if any", async () => {
+      const response = createResponse();
+      const anotherResponse = createResponse();
+      const logger = {error: sinon.stub()};
+      const failingHook = sinon.stub().rejects(new Error("cleanup failed"));
+      const hook = sinon.stub();
+
+      await swaggerRequestHandler({logger, finally: [failingHook, hook]}, new ResultHandler()).action({}, response);
+      await swaggerRequestHandler({logger: {}, finally: [hook]}, new FailingHandler()).action({}, anotherResponse);
+
+      expect(hook.firstCall.args).to.deep.equal([{}, response, null]);
+      expect(hook.secondCall.args[2].code).to.equal("TRIP_NOT_FOUND");
+      expect(anotherResponse.statusCode).to.equal(404);
+      expect(logger.error.firstCall.args[1].message).to.equal("cleanup failed");
+    });
+
+    it("should run the 'finally' hooks when a middleware sent the response, without calling the handler", async () => {
+      const express = require("express");
+      const request = require("supertest");
+      const hook = sinon.stub();
+      const handler = new ResultHandler();
+      sinon.spy(handler, "handler");
+
+      function rateLimit(req, res) {
+        res.status(429).json({code: "TOO_MANY_REQUESTS"});
+      }
+
+      const app = express();
+      app.get("/trips", swaggerRequestHandler({finally: [hook]}, rateLimit, handler).action);
+
+      await request(app)
+        .get("/trips")
+        .expect(429, {code: "TOO_MANY_REQUESTS"});
+
+      expect(handler.handler.called).to.equal(false);
+      expect(hook.calledOnce).to.equal(true);
+      expect(hook.firstCall.args[1].statusCode).to.equal(429);
+      expect(hook.firstCall.args[2]).to.equal(null);
+    });
+
+    it("should throw if the 'after', 'error' or 'finally' options are not arrays of functions, or 'sendResult' not a boolean", () => {
+      expect(() => {
+        return swaggerRequestHandler({after: () => {}}, new ResultHandler());
+      }).to.throw("swaggerRequestHandler() has invalid options.");
+      expect(() => {
+        return swaggerRequestHandler({finally: ["cleanup"]}, new ResultHandler());
+      }).to.throw("swaggerRequestHandler() has invalid options.");
+      expect(() => {
+        return swaggerRequestHandler({sendResult: "yes"}, new ResultHandler());
+      }).to.throw("swaggerRequestHandler() has invalid options.");
+    });
+  });
+
   it("should respond with error if a middleware returns error", (done) => {
     const handlerInstance = new HandlerClass();
     const request = {fn: () => {}};
@@ -0,0 +1,8 @@
+module.exports = {
+  models() {
+    return {
+      "Location": {properties: {lat: {type: "number"}, lng: {type: "number"}}},
+      "Station": {properties: {stationId: {type: "string"}}}
+    };
+  }
+};
@@ -0,0 +1,15 @@
+class Handler {
+  getSpec() {
+    return {path: "/trips", method: "POST", nickname: "createTrip"};
+  }
+
+  configuration() {
+    return {authorization: {name: "USER_MUST_BE_LOGGED_IN"}};
+  }
+
+  handler() {
+    return {trip: {}};
+  }
+}
+
+exports.Handler = Handler;
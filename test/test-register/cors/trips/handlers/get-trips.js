@@ -0,0 +1,15 @@
+class Handler {
+  getSpec() {
+    return {path: "/trips", method: "GET", nickname: "getTrips"};
+  }
+
+  configuration() {
+    return {authorization: {name: "USER_MUST_BE_LOGGED_IN"}, cors: {origins: ["https://websales.example.com"]}};
+  }
+
+  handler() {
+    return {trips: []};
+  }
+}
+
+exports.Handler = Handler;
@@ -0,0 +1,5 @@
+module.exports = {
+  models() {
+    return {"User": {}};
+  }
+};
@@ -0,0 +1,3 @@
+exports.formatTicket = (ticket) => {
+  return ticket;
+};
@@ -0,0 +1,7 @@
+class Handler {
+  static register(dependencies) {
+    dependencies.registered.push("old-ticket");
+  }
+}
+
+exports.Handler = Handler;
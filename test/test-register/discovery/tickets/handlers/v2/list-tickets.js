@@ -0,0 +1,7 @@
+class Handler {
+  static register(dependencies) {
+    dependencies.registered.push("list-tickets");
+  }
+}
+
+exports.Handler = Handler;
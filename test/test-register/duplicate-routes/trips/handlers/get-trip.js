@@ -0,0 +1,15 @@
+class Handler {
+  getSpec() {
+    return {path: "/trips/{tripId}", method: "GET", nickname: "getTrip"};
+  }
+
+  configuration() {
+    return {authorization: {name: "USER_MUST_BE_LOGGED_IN"}};
+  }
+
+  handler() {
+    return {};
+  }
+}
+
+exports.Handler = Handler;
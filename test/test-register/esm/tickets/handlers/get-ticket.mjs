@@ -0,0 +1,5 @@
+export default class GetTicketHandler {
+  static async register(dependencies) {
+    dependencies.registered.push("get-ticket");
+  }
+}
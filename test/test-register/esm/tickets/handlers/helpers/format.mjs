@@ -0,0 +1,3 @@
+export function formatTicket(ticket) {
+  return ticket;
+}
@@ -0,0 +1,5 @@
+export class Handler {
+  static register(dependencies) {
+    dependencies.registered.push("list-tickets");
+  }
+}
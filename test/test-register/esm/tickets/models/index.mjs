@@ -0,0 +1,3 @@
+export async function models() {
+  return {"Ticket": {}};
+}
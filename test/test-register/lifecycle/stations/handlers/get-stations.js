@@ -0,0 +1,30 @@
+class Handler {
+  constructor(dependencies) {
+    this.events = dependencies.events;
+  }
+
+  getSpec() {
+    return {path: "/stations", method: "GET", nickname: "getStations"};
+  }
+
+  configuration() {
+    return {authorization: {name: "USER_MUST_BE_LOGGED_IN"}};
+  }
+
+  async init() {
+    await new Promise((resolve) => {
+      setTimeout(resolve, 5);
+    });
+    this.events.push("init");
+  }
+
+  close() {
+    this.events.push("close");
+  }
+
+  handler() {
+    return {stations: []};
+  }
+}
+
+exports.Handler = Handler;
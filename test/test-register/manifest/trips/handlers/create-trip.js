@@ -0,0 +1,7 @@
+class Handler {
+  static register(dependencies) {
+    dependencies.swagger.addPost({spec: {path: "/trips", method: "POST"}});
+  }
+}
+
+exports.Handler = Handler;
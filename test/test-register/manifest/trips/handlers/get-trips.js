@@ -0,0 +1,32 @@
+function loadAccount(req, res, next) {
+  next();
+}
+
+class Handler {
+  getSpec() {
+    return {
+      path: "/trips/{tripId}",
+      method: "GET",
+      nickname: "getTrip",
+      parameters: [{in: "path", name: "tripId", type: "string", required: true}],
+      responses: {
+        200: {schema: {$ref: "#/definitions/Trip"}},
+        404: {schema: {$ref: "#/definitions/ErrorResponse"}}
+      }
+    };
+  }
+
+  configuration() {
+    return {
+      authorization: {name: "USER_MUST_BE_LOGGED_IN"},
+      middleware: [loadAccount],
+      validationSettings: {allowNumbersToBeStrings: true}
+    };
+  }
+
+  handler() {
+    return {};
+  }
+}
+
+exports.Handler = Handler;
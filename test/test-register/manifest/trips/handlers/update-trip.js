@@ -0,0 +1,29 @@
+class Handler {
+  constructor(dependencies) {
+    this.trips = dependencies.simpleDao.collectionFor("trips");
+  }
+
+  getSpec() {
+    return {
+      path: "/trips/{tripId}",
+      method: "PUT",
+      nickname: "updateTrip",
+      parameters: [{in: "path", name: "tripId", type: "string", required: true}],
+      responses: {
+        200: {schema: {$ref: "#/definitions/Trip"}}
+      }
+    };
+  }
+
+  configuration() {
+    return {
+      authorization: {name: "USER_MUST_BE_LOGGED_IN"}
+    };
+  }
+
+  handler() {
+    return {};
+  }
+}
+
+exports.Handler = Handler;
@@ -0,0 +1,20 @@
+class Handler {
+  getSpec() {
+    return {
+      path: "/trips/{tripId}",
+      method: "GET",
+      nickname: "getTrip",
+      responses: {200: {schema: {$ref: "#/definitions/Trip"}}}
+    };
+  }
+
+  configuration() {
+    return {authorization: {name: "USER_MUST_BE_LOGGED_IN"}};
+  }
+
+  handler() {
+    return {version: "v2"};
+  }
+}
+
+exports.Handler = Handler;
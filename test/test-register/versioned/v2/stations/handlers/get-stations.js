@@ -0,0 +1,15 @@
+class Handler {
+  getSpec() {
+    return {path: "/stations", method: "GET", nickname: "getStations"};
+  }
+
+  configuration() {
+    return {authorization: {name: "USER_MUST_BE_LOGGED_IN"}};
+  }
+
+  handler() {
+    return {stations: []};
+  }
+}
+
+exports.Handler = Handler;
@@ -33,6 +33,11 @@ describe("ValidationError", () => {
       expect((new ValidationError("NOTFOUND", "not here", 404)).status).to.equal(404);
     });
 
+    it("should set the given error details", () => {
+      const errors = [{path: "body.name", constraint: "required", reason: "REQUIRED", message: "name is required"}];
+      expect((new ValidationError("WRONG_DATA", "name is required", 400, errors)).errors).to.equal(errors);
+    });
+
     it("should have empty string defaults for code and message", () => {
       expect((new ValidationError()).code).to.equal("");
       expect((new ValidationError()).message).to.equal("");